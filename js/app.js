@@ -15,18 +15,28 @@ class OrderProcessingApp {
             console.log('🔍 APP: Creating ConversionEngine...');
             this.conversionEngine = new ConversionEngine();
             
+            console.log('🔍 APP: Creating ReconciliationEngine...');
+            this.reconciliationEngine = new ReconciliationEngine();
+            
+            console.log('🔍 APP: Creating PriceListEngine...');
+            this.priceListEngine = new PriceListEngine();
+            
             console.log('🔍 APP: Creating UIManager...');
-            this.uiManager = new UIManager(this.conversionEngine);
+            this.uiManager = new UIManager(this.conversionEngine, this.reconciliationEngine, this.priceListEngine);
             
             console.log('🔍 APP: Creating ExportManager...');
-            this.exportManager = new ExportManager(this.firebaseConfig, this.conversionEngine);
+            this.exportManager = new ExportManager(this.firebaseConfig, this.conversionEngine, this.reconciliationEngine, this.priceListEngine);
             
             console.log('🔍 APP: Creating PDFParser...');
             this.pdfParser = new PDFParser();
             
+            console.log('🔍 APP: Creating SpreadsheetParser...');
+            this.spreadsheetParser = new SpreadsheetParser(this.pdfParser);
+            
             // Application state
             this.processedOrders = [];
             this.approvedOrders = [];
+            this.exportPreview = null;  // { plan, excluded, resolve } while the export preview is open
             
             console.log('🔍 APP: All modules created, calling init()...');
             // Initialize the application
@@ -51,14 +61,26 @@ class OrderProcessingApp {
             // Set caches in other modules
             const caches = this.firebaseConfig.getCaches();
             this.conversionEngine.setProductConversionsCache(caches.productConversionsCache);
+            this.conversionEngine.setCustomerConversionsCache(caches.customerConversionsCache);
+            this.conversionEngine.setRoundingPoliciesCache(caches.roundingPoliciesCache);
             this.pdfParser.setProductConversionsCache(caches.productConversionsCache);
             
             // NEW: Connect PDFParser to FirebaseConfig for product catalog access
             this.pdfParser.setFirebaseConfig(this.firebaseConfig);
+            this.pdfParser.setDeclarativeTemplates(caches.orderTemplates);
+            this.spreadsheetParser.setMappings(caches.spreadsheetMappings);
+            this.priceListEngine.setPriceListCache(caches.customerPricesCache);
+            this.priceListEngine.setPricingSettings(caches.pricingSettings);
+            this.uiManager.setFirebaseConfig(this.firebaseConfig);
+            this.populateExportProfiles();
             
             // Setup global functions for HTML template
             this.setupGlobalFunctions();
             
+            // The reviewer's name is remembered between sessions
+            const reviewerName = document.getElementById('reviewerName');
+            if (reviewerName) reviewerName.value = localStorage.getItem(OrderProcessingApp.REVIEWER_KEY) || '';
+            
             console.log('Application initialized successfully');
             
         } catch (error) {
@@ -95,15 +117,31 @@ class OrderProcessingApp {
         window.exportToExcel = async () => {
             await this.exportToExcel();
         };
+        window.updateExportSection = () => {
+            this.updateExportSection();
+        };
 
         // Duplicate handling
         window.handleDuplicateChoice = (shouldProcess) => {
             this.handleDuplicateChoice(shouldProcess);
         };
+
+        // Export preview - leave orders out, then write the file or cancel
+        window.toggleExportPreviewOrder = (orderIndex, included) => {
+            this.toggleExportPreviewOrder(orderIndex, included);
+        };
+        window.closeExportPreview = (confirmed) => {
+            this.closeExportPreview(confirmed);
+        };
+
+        // Customer master update from the order's delivery address
+        window.applyAddressSuggestion = async () => {
+            await this.applyAddressSuggestion();
+        };
     }
 
     /**
-     * Process PDF files with duplicate detection
+     * Process PDF and spreadsheet order files with duplicate detection
      */
     async processFiles(files) {
         this.uiManager.showProcessingSection(true);
@@ -120,8 +158,14 @@ class OrderProcessingApp {
             this.uiManager.updateProgress((i / files.length) * 100, `Processing ${file.name}...`);
             
             try {
-                const order = await this.pdfParser.processPDF(file);
+                const order = this.spreadsheetParser.isSpreadsheetFile(file)
+                    ? await this.spreadsheetParser.processSpreadsheet(file)
+                    : await this.pdfParser.processPDF(file);
                 if (order) {
+                    if (file.emailSource) {
+                        this.applyEmailSource(order, file.emailSource);
+                    }
+                    
                     // Check for duplicate PO number
                     const poNumber = order.poNumber || '';
                     if (poNumber && this.firebaseConfig.isPOProcessed(poNumber)) {
@@ -132,6 +176,17 @@ class OrderProcessingApp {
                         }
                     }
                     
+                    // Keep each line as parsed, so history can show what the reviewer changed
+                    this.recordParsedLines(order);
+                    
+                    // Check the printed arithmetic before conversions change quantities and prices
+                    this.reconciliationEngine.reconcileOrder(order);
+                    
+                    // Fill in prices the order doesn't carry (picking notes) from the customer's price list,
+                    // and check the prices it does carry against the agreed ones
+                    this.priceListEngine.priceOrder(order);
+                    this.priceListEngine.validateOrder(order);
+                    
                     // Process order with conversions
                     const processedOrder = this.conversionEngine.processOrderProducts(order);
                     
@@ -160,6 +215,46 @@ class OrderProcessingApp {
         }, 1000);
     }
 
+    /**
+     * Snapshot every line as the parser read it - saved with the exported line in order history
+     */
+    recordParsedLines(order) {
+        order.products.forEach(product => {
+            product.parsed = {
+                productCode: product.productCode || '',
+                printedProductCode: product.originalProductCode || product.productCode || '',
+                description: product.description || '',
+                caseSize: product.caseSize || '',
+                quantity: product.quantity,
+                unitPrice: product.unitPrice || 0,
+                netPrice: product.netPrice || 0
+            };
+        });
+    }
+
+    /**
+     * Record the email an order file came from, and pre-fill the customer from the sender
+     * address when the order doesn't give a customer code
+     */
+    applyEmailSource(order, emailSource) {
+        order.emailSource = emailSource;
+        if (order.customerCode) return;
+        
+        const customer = this.firebaseConfig.findCustomerByEmail(emailSource.fromAddress);
+        if (!customer) return;
+        
+        const rule = `Matched sender ${emailSource.fromAddress}`;
+        order.customerCode = customer.customerCode;
+        this.pdfParser.recordField(order, 'customerCode', rule, 'medium');
+        
+        if (!order.customerName && customer.customerName) {
+            order.customerName = customer.customerName;
+            this.pdfParser.recordField(order, 'customerName', rule, 'medium');
+        }
+        
+        console.log(`✉️ ${order.filename}: customer ${customer.customerCode} from sender ${emailSource.fromAddress}`);
+    }
+
     /**
      * Show duplicate PO warning
      */
@@ -233,15 +328,59 @@ class OrderProcessingApp {
             const order = pdfFiles[currentFileIndex].order;
             const filename = order.filename;
             
+            // Orders from unrecognised layouts have nothing to export
+            if (order.templateDetection && order.templateDetection.status === 'unknown') {
+                alert(`❌ ${filename} didn't match any known order template, so nothing was extracted.\n\nAdd a template for this layout and process the file again.`);
+                return;
+            }
+            
             // Check if already approved
             if (this.approvedOrders.find(o => o.filename === filename)) {
                 alert('This order is already approved!');
                 return;
             }
             
+            // Approvals are recorded in order history with the reviewer's name
+            const reviewer = this.getReviewerName();
+            if (!reviewer) {
+                alert('✍️ Enter your name next to "Approve Current Order" - it is recorded with the approval in order history.');
+                return;
+            }
+            
+            // Required fields that are missing or uncertain need fixing or an explicit confirmation
+            const unresolved = PDFParser.getFieldsNeedingAttention(order).filter(item => item.mandatory);
+            if (unresolved.length > 0) {
+                const fieldList = unresolved
+                    .map(item => `• ${item.label}: ${item.level === 'missing' ? 'not found' : `"${order[item.field]}" (uncertain)`}`)
+                    .join('\n');
+                
+                if (!confirm(`⚠️ ${filename} needs attention before approval:\n\n${fieldList}\n\nCancel to fix them with "Edit Data", or OK to confirm they are correct as shown.`)) {
+                    return;
+                }
+                
+                unresolved.forEach(item => {
+                    order.fieldConfidence[item.field].confirmed = true;
+                });
+            }
+            
+            // Every line priced away from the customer's price list needs the reviewer's decision
+            const undecidedPrices = this.priceListEngine.getUndecidedPriceMismatches(order);
+            if (undecidedPrices.length > 0) {
+                const lineList = undecidedPrices
+                    .map(product => `• ${product.productCode}: ${this.priceListEngine.describePriceCheck(product)}`)
+                    .join('\n');
+                alert(`💷 ${filename} has ${undecidedPrices.length} price${undecidedPrices.length !== 1 ? 's' : ''} that differ from the customer's price list:\n\n${lineList}\n\nChoose "Accept PO price" or "Use list price" on each highlighted line before approving.`);
+                return;
+            }
+            
             // Add to approved orders
+            order.approvedBy = reviewer;
+            order.approvedAt = new Date().toISOString();
             this.approvedOrders.push(order);
             
+            // An open export preview no longer matches the approved orders
+            this.closeExportPreview(false);
+            
             // Remove from UI and get status
             const allProcessed = this.uiManager.removeApprovedFile(filename);
             
@@ -257,12 +396,72 @@ class OrderProcessingApp {
         }
     }
 
+    /**
+     * Save the delivery address printed on the current order to its customer's master record
+     */
+    async applyAddressSuggestion() {
+        const file = this.uiManager.pdfFiles[this.uiManager.currentFileIndex];
+        if (!file) return;
+        
+        const order = file.order;
+        
+        const suggestion = this.uiManager.getAddressSuggestion(order);
+        if (!suggestion) return;
+        
+        if (!confirm(`Save this delivery address for ${order.customerCode}?\n\n${this.uiManager.formatAddress(suggestion.parsed)}\n\nIt will be used for all future exports for this customer.`)) {
+            return;
+        }
+        
+        try {
+            await this.firebaseConfig.saveCustomerDeliveryAddress(order.customerCode, suggestion.parsed, this.getReviewerName(), order.customerName);
+            this.uiManager.updateAddressSuggestionDisplay(document.getElementById('orderAddressSuggestion'), order);
+        } catch (error) {
+            console.error('Error saving delivery address:', error);
+            alert(`Error saving delivery address: ${error.message}`);
+        }
+    }
+
+    /**
+     * The reviewer's name from the export section, remembered for next time
+     */
+    getReviewerName() {
+        const input = document.getElementById('reviewerName');
+        const name = input ? input.value.trim() : '';
+        if (name) localStorage.setItem(OrderProcessingApp.REVIEWER_KEY, name);
+        return name;
+    }
+
+    /**
+     * Fill the export profile and split pickers, keeping the current choices when they're still available
+     */
+    populateExportProfiles() {
+        const split = document.getElementById('exportSplit');
+        if (split && split.options.length === 0) {
+            split.innerHTML = Object.keys(ExportManager.SPLIT_OPTIONS)
+                .map(key => `<option value="${key}">${ExportManager.SPLIT_OPTIONS[key]}</option>`)
+                .join('');
+        }
+        
+        const select = document.getElementById('exportProfile');
+        if (!select) return;
+        
+        const current = select.value || ExportProfile.DEFAULT_PROFILE_ID;
+        const profiles = this.firebaseConfig.getExportProfiles();
+        select.innerHTML = profiles
+            .map(profile => `<option value="${profile.profileId}">${this.uiManager.escapeHtml(profile.name)}</option>`)
+            .join('');
+        select.value = profiles.some(profile => profile.profileId === current) ? current : profiles[0].profileId;
+    }
+
     /**
      * Update export section
      */
     updateExportSection() {
         const exportSummary = document.getElementById('exportSummary');
         const exportBtn = document.getElementById('exportBtn');
+        const exportProfile = document.getElementById('exportProfile');
+        const exportSplit = document.getElementById('exportSplit');
+        const exportSplitOutput = document.getElementById('exportSplitOutput');
         
         if (!exportSummary || !exportBtn) return;
         
@@ -274,6 +473,9 @@ class OrderProcessingApp {
         if (approvedCount === 0) {
             exportSummary.textContent = 'No orders approved for export yet - approve orders one by one to include them in export';
             exportBtn.style.display = 'none';
+            if (exportProfile) exportProfile.style.display = 'none';
+            if (exportSplit) exportSplit.style.display = 'none';
+            if (exportSplitOutput) exportSplitOutput.style.display = 'none';
         } else {
             let summaryText = `<strong>${approvedCount}</strong> order${approvedCount !== 1 ? 's' : ''} approved<br>`;
             summaryText += `<strong>${totalProducts}</strong> products • <strong>£${totalValue.toFixed(2)}</strong> total value<br>`;
@@ -285,6 +487,13 @@ class OrderProcessingApp {
             summaryText += 'Ready for Freshware import';
             exportSummary.innerHTML = summaryText;
             exportBtn.style.display = 'inline-block';
+            
+            // Only offer a choice when there is more than the built-in Freshware profile
+            if (exportProfile) exportProfile.style.display = exportProfile.options.length > 1 ? 'inline-block' : 'none';
+            
+            // Files or sheets only matters once the export is split
+            if (exportSplit) exportSplit.style.display = 'inline-block';
+            if (exportSplitOutput) exportSplitOutput.style.display = exportSplit && exportSplit.value !== 'none' ? 'inline-block' : 'none';
         }
     }
 
@@ -328,18 +537,81 @@ class OrderProcessingApp {
      */
     async exportToExcel() {
         try {
-            const result = await this.exportManager.exportToExcel(this.approvedOrders);
+            const profileSelect = document.getElementById('exportProfile');
+            const profileId = profileSelect && profileSelect.value ? profileSelect.value : ExportProfile.DEFAULT_PROFILE_ID;
+            const splitSelect = document.getElementById('exportSplit');
+            const outputSelect = document.getElementById('exportSplitOutput');
+            const split = {
+                by: splitSelect && splitSelect.value ? splitSelect.value : 'none',
+                output: outputSelect && outputSelect.value ? outputSelect.value : 'files'
+            };
+            const plan = await this.exportManager.prepareExport(this.approvedOrders, profileId, split);
+            
+            // Nothing is written until the reviewer has seen the rows
+            const orders = await this.showExportPreview(plan);
+            if (!orders) {
+                return; // User cancelled, don't show error
+            }
+            
+            const result = await this.exportManager.writeExport(plan, orders);
             const successMessage = this.exportManager.formatSuccessMessage(result);
             alert(successMessage);
         } catch (error) {
             console.error('Export error:', error);
-            if (error.message === 'Export cancelled by user') {
-                return; // User cancelled, don't show error
-            }
             alert(error.message);
         }
     }
 
+    /**
+     * Show the rows the export will write
+     * @returns {Promise<Array|null>} The orders to export, or null when the reviewer cancels
+     */
+    showExportPreview(plan) {
+        return new Promise((resolve) => {
+            // A preview left open is replaced by the new one
+            if (this.exportPreview) {
+                this.exportPreview.resolve(null);
+            }
+            
+            this.exportPreview = { plan: plan, excluded: new Set(), resolve: resolve };
+            
+            const container = document.getElementById('exportPreview');
+            this.uiManager.renderExportPreview(container, plan.preview, this.exportPreview.excluded);
+            container.style.display = 'block';
+            container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        });
+    }
+
+    /**
+     * Leave an order out of the export, or put it back
+     */
+    toggleExportPreviewOrder(orderIndex, included) {
+        if (!this.exportPreview) return;
+        
+        if (included) {
+            this.exportPreview.excluded.delete(orderIndex);
+        } else {
+            this.exportPreview.excluded.add(orderIndex);
+        }
+        this.uiManager.renderExportPreview(document.getElementById('exportPreview'), this.exportPreview.plan.preview, this.exportPreview.excluded);
+    }
+
+    /**
+     * Close the preview - write the file with the included orders, or cancel the export
+     */
+    closeExportPreview(confirmed) {
+        if (!this.exportPreview) return;
+        
+        const { plan, excluded, resolve } = this.exportPreview;
+        this.exportPreview = null;
+        
+        const container = document.getElementById('exportPreview');
+        container.style.display = 'none';
+        container.innerHTML = '';
+        
+        resolve(confirmed ? plan.orders.filter((order, index) => !excluded.has(index)) : null);
+    }
+
     /**
      * Get application state for debugging
      */
@@ -362,10 +634,17 @@ class OrderProcessingApp {
             // Update caches in other modules
             const caches = this.firebaseConfig.getCaches();
             this.conversionEngine.setProductConversionsCache(caches.productConversionsCache);
+            this.conversionEngine.setCustomerConversionsCache(caches.customerConversionsCache);
+            this.conversionEngine.setRoundingPoliciesCache(caches.roundingPoliciesCache);
             this.pdfParser.setProductConversionsCache(caches.productConversionsCache);
             
             // NEW: Reconnect PDFParser to FirebaseConfig after refresh
             this.pdfParser.setFirebaseConfig(this.firebaseConfig);
+            this.pdfParser.setDeclarativeTemplates(caches.orderTemplates);
+            this.spreadsheetParser.setMappings(caches.spreadsheetMappings);
+            this.priceListEngine.setPriceListCache(caches.customerPricesCache);
+            this.priceListEngine.setPricingSettings(caches.pricingSettings);
+            this.populateExportProfiles();
             
             console.log('Data refreshed successfully');
             return true;
@@ -376,6 +655,11 @@ class OrderProcessingApp {
     }
 }
 
+/**
+ * localStorage key for the reviewer's name
+ */
+OrderProcessingApp.REVIEWER_KEY = 'hoc_reviewer_name';
+
 // Initialize the application when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     console.log('🔍 APP: DOM loaded, initializing Order Processing App...');
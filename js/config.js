@@ -7,8 +7,17 @@ class FirebaseConfig {
     constructor() {
         this.db = null;
         this.emailMappingsCache = new Map();
+        this.customerEmailRecords = [];  // { customerCode, customerName, email } for sender lookups
         this.productConversionsCache = new Map();
+        this.customerConversionsCache = new Map();  // "CUSTOMER|PRODUCT" → the customer's own conversion
+        this.roundingPoliciesCache = new Map();  // "CUSTOMER" or "CUSTOMER|PRODUCT" → rounding policy
         this.productCatalogCache = new Map();  // NEW: Product catalog cache
+        this.orderTemplates = [];
+        this.spreadsheetMappings = [];
+        this.exportProfiles = [];  // Stored export profiles (the built-in Freshware profile is in ExportProfile)
+        this.customerPricesCache = new Map();  // "CUSTOMER|SKU" → prices, newest effective date first
+        this.customersCache = new Map();  // "CUSTOMER" → customer master record (addresses, phone, default vendor)
+        this.pricingSettings = {};  // { priceTolerancePercent }
         this.processedPONumbers = new Set();
         this.lastCacheUpdate = 0;
         this.catalogCacheExpiry = 0;  // NEW: Separate expiry for catalog
@@ -83,8 +92,14 @@ class FirebaseConfig {
             const snapshot = await this.db.collection('customerEmails').get();
             
             this.emailMappingsCache.clear();
+            this.customerEmailRecords = [];
             snapshot.forEach(doc => {
                 const data = doc.data();
+                this.customerEmailRecords.push({
+                    customerCode: data.customerCode,
+                    customerName: data.customerName || '',
+                    email: data.email || ''
+                });
                 // Store both original and uppercase versions for case-insensitive lookup
                 this.emailMappingsCache.set(data.customerCode, data.email);
                 this.emailMappingsCache.set(data.customerCode.toUpperCase(), data.email);
@@ -105,7 +120,8 @@ class FirebaseConfig {
     }
 
     /**
-     * Load product conversions from Firestore
+     * Load product conversions from Firestore - conversions saved with a customer code override the
+     * product's conversion for that customer only
      */
     async loadProductConversionsFromFirestore() {
         try {
@@ -114,15 +130,25 @@ class FirebaseConfig {
             const snapshot = await this.db.collection('productConversions').get();
             
             this.productConversionsCache.clear();
+            this.customerConversionsCache.clear();
             snapshot.forEach(doc => {
                 const data = doc.data();
-                this.productConversionsCache.set(data.productCode, {
+                const conversion = {
                     name: data.productName || '',
-                    eachWeight: data.eachWeight
-                });
+                    eachWeight: data.eachWeight,
+                    units: data.units || null,  // Pack levels, see ConversionEngine.parseUnits
+                    roundingPolicy: data.roundingPolicy || '',
+                    versions: this.getConversionVersions(data)
+                };
+                
+                if (data.customerCode) {
+                    this.customerConversionsCache.set(`${data.customerCode.toUpperCase()}|${data.productCode}`, conversion);
+                } else {
+                    this.productConversionsCache.set(data.productCode, conversion);
+                }
             });
             
-            console.log(`Loaded ${this.productConversionsCache.size} product conversions`);
+            console.log(`Loaded ${this.productConversionsCache.size} product conversions, ${this.customerConversionsCache.size} customer overrides`);
             return this.productConversionsCache;
         } catch (error) {
             console.error('Error loading product conversions:', error);
@@ -130,6 +156,227 @@ class FirebaseConfig {
         }
     }
 
+    /**
+     * Every saved version of a conversion, newest effective date first (see ConversionEngine.getConversion)
+     * Conversions saved before versioning are version 1, in effect from the start
+     */
+    getConversionVersions(data) {
+        const versions = data.versions && data.versions.length > 0 ? data.versions : [{
+            version: 1,
+            eachWeight: data.eachWeight,
+            units: data.units || null,
+            roundingPolicy: data.roundingPolicy || '',
+            effectiveFrom: '',
+            changedBy: '',
+            changedAt: data.createdAt ? data.createdAt.toDate().toISOString() : ''
+        }];
+        
+        return versions
+            .map(version => ({
+                version: version.version,
+                eachWeight: version.eachWeight,
+                units: version.units || null,
+                roundingPolicy: version.roundingPolicy || '',
+                effectiveFrom: version.effectiveFrom || '',
+                changedBy: version.changedBy || '',
+                changedAt: version.changedAt || ''
+            }))
+            .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom) || b.version - a.version);
+    }
+
+    /**
+     * Load customer rounding policies from Firestore - for all of a customer's products, or one product
+     */
+    async loadRoundingPoliciesFromFirestore() {
+        try {
+            console.log('Loading rounding policies from Firestore...');
+            
+            const snapshot = await this.db.collection('roundingPolicies').get();
+            
+            this.roundingPoliciesCache.clear();
+            snapshot.forEach(doc => {
+                const data = doc.data();
+                const key = data.productCode ? `${data.customerCode}|${data.productCode}` : data.customerCode;
+                this.roundingPoliciesCache.set(key, data.policy);
+            });
+            
+            console.log(`Loaded ${this.roundingPoliciesCache.size} rounding policies`);
+            return this.roundingPoliciesCache;
+        } catch (error) {
+            console.error('Error loading rounding policies:', error);
+            return this.roundingPoliciesCache;
+        }
+    }
+
+    /**
+     * Load export profile definitions from Firestore
+     */
+    async loadExportProfilesFromFirestore() {
+        try {
+            console.log('Loading export profiles from Firestore...');
+            
+            const snapshot = await this.db.collection('exportProfiles').get();
+            
+            this.exportProfiles = [];
+            snapshot.forEach(doc => {
+                const profile = { profileId: doc.id, ...doc.data() };
+                const errors = ExportProfile.validate(profile);
+                if (errors.length > 0) {
+                    console.warn(`⚠️ Skipping export profile ${doc.id}: ${errors.join(', ')}`);
+                    return;
+                }
+                this.exportProfiles.push(profile);
+            });
+            
+            console.log(`Loaded ${this.exportProfiles.length} export profiles`);
+            return this.exportProfiles;
+        } catch (error) {
+            console.error('Error loading export profiles:', error);
+            return this.exportProfiles;
+        }
+    }
+
+    /**
+     * Export profiles to choose from - the built-in Freshware profile unless a stored profile replaces it,
+     * then the active stored profiles
+     */
+    getExportProfiles() {
+        const active = this.exportProfiles.filter(profile => profile.active !== false);
+        const replacesBuiltIn = active.some(profile => profile.profileId === ExportProfile.DEFAULT_PROFILE_ID);
+        return replacesBuiltIn ? active : [ExportProfile.FRESHWARE, ...active];
+    }
+
+    /**
+     * An export profile by ID - the Freshware profile when it isn't found
+     */
+    getExportProfile(profileId) {
+        const profiles = this.getExportProfiles();
+        const profile = profiles.find(p => p.profileId === profileId);
+        if (!profile) {
+            console.warn(`⚠️ Export profile ${profileId} not found - using ${ExportProfile.FRESHWARE.name}`);
+            return profiles.find(p => p.profileId === ExportProfile.DEFAULT_PROFILE_ID) || ExportProfile.FRESHWARE;
+        }
+        return profile;
+    }
+
+    /**
+     * Load declarative order template definitions from Firestore
+     */
+    async loadOrderTemplatesFromFirestore() {
+        try {
+            console.log('Loading order templates from Firestore...');
+            
+            const snapshot = await this.db.collection('orderTemplates').get();
+            
+            this.orderTemplates = [];
+            snapshot.forEach(doc => {
+                this.orderTemplates.push({ templateId: doc.id, ...doc.data() });
+            });
+            
+            console.log(`Loaded ${this.orderTemplates.length} order templates`);
+            return this.orderTemplates;
+        } catch (error) {
+            console.error('Error loading order templates:', error);
+            return this.orderTemplates;
+        }
+    }
+
+    /**
+     * Load per-customer spreadsheet column mappings from Firestore
+     */
+    async loadSpreadsheetMappingsFromFirestore() {
+        try {
+            console.log('Loading spreadsheet mappings from Firestore...');
+            
+            const snapshot = await this.db.collection('spreadsheetMappings').get();
+            
+            this.spreadsheetMappings = [];
+            snapshot.forEach(doc => {
+                this.spreadsheetMappings.push({ mappingId: doc.id, ...doc.data() });
+            });
+            
+            console.log(`Loaded ${this.spreadsheetMappings.length} spreadsheet mappings`);
+            return this.spreadsheetMappings;
+        } catch (error) {
+            console.error('Error loading spreadsheet mappings:', error);
+            return this.spreadsheetMappings;
+        }
+    }
+
+    /**
+     * Load customer price lists from Firestore
+     * Each document is one customer's price for one SKU from an effective date (YYYY-MM-DD)
+     */
+    async loadCustomerPricesFromFirestore() {
+        try {
+            console.log('Loading customer price lists from Firestore...');
+            
+            const snapshot = await this.db.collection('customerPrices').get();
+            
+            this.customerPricesCache.clear();
+            snapshot.forEach(doc => {
+                const data = doc.data();
+                const key = PriceListEngine.cacheKey(data.customerCode, data.sku);
+                if (!this.customerPricesCache.has(key)) {
+                    this.customerPricesCache.set(key, []);
+                }
+                this.customerPricesCache.get(key).push({
+                    sku: data.sku,
+                    price: data.price,
+                    effectiveFrom: data.effectiveFrom,
+                    effectiveTo: data.effectiveTo || ''
+                });
+            });
+            
+            this.customerPricesCache.forEach(entries => {
+                entries.sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom));
+            });
+            
+            console.log(`Loaded ${snapshot.size} customer prices for ${this.customerPricesCache.size} customer SKUs`);
+            return this.customerPricesCache;
+        } catch (error) {
+            console.error('Error loading customer price lists:', error);
+            return this.customerPricesCache;
+        }
+    }
+
+    /**
+     * Load the customer master (names, billing and delivery addresses, phone, default vendor) from Firestore
+     */
+    async loadCustomersFromFirestore() {
+        try {
+            console.log('Loading customer master from Firestore...');
+            
+            const snapshot = await this.db.collection('customers').get();
+            
+            this.customersCache.clear();
+            snapshot.forEach(doc => {
+                const data = doc.data();
+                this.customersCache.set(doc.id.toUpperCase(), data);
+            });
+            
+            console.log(`Loaded ${this.customersCache.size} customers`);
+            return this.customersCache;
+        } catch (error) {
+            console.error('Error loading customer master:', error);
+            return this.customersCache;
+        }
+    }
+
+    /**
+     * Load pricing settings (price check tolerance) from Firestore
+     */
+    async loadPricingSettingsFromFirestore() {
+        try {
+            const doc = await this.db.collection('appSettings').doc('pricing').get();
+            this.pricingSettings = doc.exists ? doc.data() : {};
+            return this.pricingSettings;
+        } catch (error) {
+            console.error('Error loading pricing settings:', error);
+            return this.pricingSettings;
+        }
+    }
+
     /**
      * Load product catalog from Firebase with caching
      */
@@ -412,25 +659,88 @@ class FirebaseConfig {
     }
 
     /**
-     * Get vendor for product (based on product type)
+     * Find the customer an email address belongs to (sender of an emailed order)
+     * The email field may hold several addresses separated by commas or semicolons
+     * @returns {Object|null} { customerCode, customerName } - null when unknown or shared by several customers
      */
-    getVendorForProduct(productCode) {
-        return this.vendorMappings.get(productCode) || 'Osolocal2U';
+    findCustomerByEmail(address) {
+        const wanted = (address || '').trim().toLowerCase();
+        if (!wanted) return null;
+        
+        const matches = this.customerEmailRecords.filter(record =>
+            record.email.split(/[,;]/).some(email => email.trim().toLowerCase() === wanted)
+        );
+        const codes = new Set(matches.map(record => record.customerCode.toUpperCase()));
+        
+        if (codes.size !== 1) {
+            if (codes.size > 1) console.warn(`⚠️ ${wanted} belongs to ${codes.size} customers - not pre-filling`);
+            return null;
+        }
+        
+        return { customerCode: matches[0].customerCode, customerName: matches[0].customerName };
+    }
+
+    /**
+     * Get a customer's master record
+     * @returns {Object|null} { customerCode, name, phone, defaultVendor, dispatchLocation, billingAddress, deliveryAddress }
+     */
+    getCustomer(customerCode) {
+        if (!customerCode) return null;
+        return this.customersCache.get(customerCode.toUpperCase()) || null;
+    }
+
+    /**
+     * Save a customer's delivery address (e.g. a suggested update read from an order)
+     * @param {Object} address - { name, address1, address2, city, zip, country }
+     * @param {string} customerName - Name for a customer not in the master yet
+     */
+    async saveCustomerDeliveryAddress(customerCode, address, updatedBy = '', customerName = '') {
+        const code = customerCode.toUpperCase();
+        const update = {
+            customerCode: code,
+            deliveryAddress: address,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+            updatedBy: updatedBy
+        };
+        if (!this.getCustomer(code) && customerName) update.name = customerName;
+        
+        await this.db.collection('customers').doc(code).set(update, { merge: true });
+        this.customersCache.set(code, { ...(this.customersCache.get(code) || {}), ...update });
+        console.log(`🏢 Updated ${code}'s delivery address`);
+    }
+
+    /**
+     * Get vendor for product - the product's own vendor, then the customer's default vendor
+     */
+    getVendorForProduct(productCode, customerCode = '') {
+        const customer = this.getCustomer(customerCode);
+        return this.vendorMappings.get(productCode) || (customer && customer.defaultVendor) || 'Osolocal2U';
+    }
+
+    /**
+     * Get the location a customer's orders are dispatched from - the customer's own, then the main unit
+     */
+    getDispatchLocation(customerCode) {
+        const customer = this.getCustomer(customerCode);
+        return (customer && customer.dispatchLocation) || 'Unit 2 Horner House';
     }
 
     /**
      * Save order history to Firebase
+     * @param {Array} lineItems - For each order, its lines as exported (see ExportManager.buildHistoryLineItems)
+     * @param {Object} exportBatch - { id, filename, orderCount, profileId, split } of the file the orders were exported in
      */
-    async saveOrderHistory(orders) {
+    async saveOrderHistory(orders, lineItems = [], exportBatch = null) {
         try {
             console.log('Saving order history to Firebase...');
             
             const batch = this.db.batch();
             const now = new Date();
             
-            for (const order of orders) {
+            for (const [index, order] of orders.entries()) {
                 const historyData = {
-                    // Order identification
+                    // Order identification - exportId is the order's Id in the exported file
+                    exportId: order.exportId || '',
                     customerCode: order.customerCode || '',
                     customerName: order.customerName || '',
                     purchaseOrderNumber: order.poNumber || '',
@@ -448,10 +758,26 @@ class FirebaseConfig {
                     
                     // File reference
                     originalFileName: order.filename || '',
+                    emailSource: order.emailSource || null,
+                    deliveryAddress: order.deliveryAddress || null,
+                    
+                    // Approval and the export it went out in
+                    approvedBy: order.approvedBy || '',
+                    approvedAt: order.approvedAt || '',
+                    exportBatch: exportBatch,
+                    exportParts: order.exportParts || null,
                     
                     // Products summary (for reference)
                     productCodes: order.products.map(p => p.productCode).join(', '),
                     
+                    // Every line as exported, with its quantity and price before conversion (lets ConversionSimulator
+                    // replay the order) and as parsed
+                    lineItems: lineItems[index] || [],
+                    
+                    // Header fields the reviewer corrected
+                    editedFields: Object.keys(order.fieldConfidence || {})
+                        .filter(field => order.fieldConfidence[field].rule === 'Edited by reviewer'),
+                    
                     // Conversion statistics
                     conversionsApplied: order.products.filter(p => p.conversionApplied).length,
                     warningsGenerated: order.products.filter(p => p.hasWarning).length
@@ -471,6 +797,26 @@ class FirebaseConfig {
         }
     }
 
+    /**
+     * Note on each history record that it was re-exported - re-exports never add history records of their own
+     * @param {Object} reExport - { filename, reExportedAt, reExportedBy }
+     */
+    async recordReExport(historyIds, reExport) {
+        try {
+            const batch = this.db.batch();
+            historyIds.forEach(id => {
+                batch.update(this.db.collection('orderHistory').doc(id), {
+                    reExports: firebase.firestore.FieldValue.arrayUnion(reExport)
+                });
+            });
+            await batch.commit();
+            console.log(`🔁 Recorded re-export of ${historyIds.length} order(s) in ${reExport.filename}`);
+        } catch (error) {
+            console.error('Error recording re-export:', error);
+            // The file has been created - don't fail the re-export
+        }
+    }
+
     /**
      * Initialize all data on app startup - UPDATED to include product catalog
      */
@@ -478,7 +824,14 @@ class FirebaseConfig {
         await Promise.all([
             this.loadCustomerEmailsFromFirestore(),
             this.loadProductConversionsFromFirestore(),
+            this.loadRoundingPoliciesFromFirestore(),
             this.loadProductCatalog(),  // NEW: Load product catalog
+            this.loadOrderTemplatesFromFirestore(),
+            this.loadSpreadsheetMappingsFromFirestore(),
+            this.loadExportProfilesFromFirestore(),
+            this.loadCustomerPricesFromFirestore(),
+            this.loadPricingSettingsFromFirestore(),
+            this.loadCustomersFromFirestore(),
             this.loadProcessedPONumbers()
         ]);
         console.log('All Firebase data loaded successfully');
@@ -520,7 +873,15 @@ class FirebaseConfig {
         return {
             emailMappingsCache: this.emailMappingsCache,
             productConversionsCache: this.productConversionsCache,
+            customerConversionsCache: this.customerConversionsCache,
+            roundingPoliciesCache: this.roundingPoliciesCache,
             productCatalogCache: this.productCatalogCache,  // NEW
+            orderTemplates: this.orderTemplates,
+            spreadsheetMappings: this.spreadsheetMappings,
+            exportProfiles: this.exportProfiles,
+            customerPricesCache: this.customerPricesCache,
+            pricingSettings: this.pricingSettings,
+            customersCache: this.customersCache,
             processedPONumbers: this.processedPONumbers,
             customerMappings: this.customerMappings,
             productMappings: this.productMappings,
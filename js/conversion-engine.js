@@ -7,6 +7,8 @@
 class ConversionEngine {
     constructor() {
         this.productConversionsCache = new Map();
+        this.customerConversionsCache = new Map();  // "CUSTOMER|PRODUCT" → the customer's own conversion
+        this.roundingPoliciesCache = new Map();  // "CUSTOMER" or "CUSTOMER|PRODUCT" → policy
         this.conversionStats = {
             converted: 0,
             warnings: 0,
@@ -21,6 +23,20 @@ class ConversionEngine {
         this.productConversionsCache = cache;
     }
 
+    /**
+     * Set customer conversion overrides cache - a customer's own "each" for a product
+     */
+    setCustomerConversionsCache(cache) {
+        this.customerConversionsCache = cache;
+    }
+
+    /**
+     * Set customer rounding policies cache (see FirebaseConfig.loadRoundingPoliciesFromFirestore)
+     */
+    setRoundingPoliciesCache(cache) {
+        this.roundingPoliciesCache = cache;
+    }
+
     /**
      * Check if quantity is decimal
      */
@@ -31,19 +47,34 @@ class ConversionEngine {
     /**
      * CRITICAL FUNCTION: Convert decimal quantities to whole numbers using product conversions
      * This is the core conversion logic that prevents rounding issues in Freshware
+     * The quantity is moved into whichever of the product's other units makes it whole - the largest one when several do.
+     * When none does, the customer's or product's rounding policy decides what happens
+     * @param {string} orderDate - DD/MM/YYYY; the conversion version in effect on this day is used (today when blank)
      */
-    convertDecimalQuantity(product) {
+    convertDecimalQuantity(product, customerCode = '', orderDate = '') {
         const originalQty = product.originalQuantity || product.quantity;
+        const originalUnitPrice = product.originalUnitPrice || product.unitPrice;
         const productCode = product.productCode;
         
         // Debug logging
-        console.log(`Converting product: ${productCode}, qty: ${originalQty}kg`);
+        console.log(`Converting product: ${productCode}, qty: ${originalQty} (${product.caseSize || 'no case size'})`);
         console.log(`Available conversions:`, Array.from(this.productConversionsCache.keys()));
         
         // Reset conversion data
         product.conversionApplied = false;
         product.conversionNote = '';
         product.hasWarning = false;
+        product.targetUnit = null;
+        product.roundingPolicy = null;
+        product.remainder = null;
+        product.conversionBlocked = false;
+        product.conversionVersion = null;
+        product.unitPrice = originalUnitPrice;
+        
+        // A customer's own definition of the product's units takes precedence over the global one
+        product.conversionCustomerCode = this.hasCustomerConversion(productCode, customerCode) ? customerCode.toUpperCase() : null;
+        const unitsFor = product.conversionCustomerCode || '';
+        const day = this.toISODate(orderDate);
         
         // If quantity is whole number, no conversion needed
         if (!this.isDecimalQuantity(originalQty)) {
@@ -54,72 +85,326 @@ class ConversionEngine {
         }
         
         // Check if product has conversion settings
-        const conversion = this.productConversionsCache.get(productCode);
-        console.log(`${productCode} conversion found:`, conversion);
+        const units = this.getProductUnits(productCode, unitsFor, day);
+        const sourceUnit = this.getSourceUnit(product, units);
+        console.log(`${productCode} units found:`, units);
+        
+        product.quantity = originalQty;
         
-        if (!conversion) {
+        if (units) {
+            // Record which version of the conversion the line used, so the export can be explained later
+            const version = this.getConversion(productCode, unitsFor, day);
+            product.conversionVersion = {
+                version: version.version,
+                effectiveFrom: version.effectiveFrom,
+                changedBy: version.changedBy,
+                changedAt: version.changedAt,
+                appliedOn: day
+            };
+        }
+        
+        if (!units) {
             // No conversion available - flag as warning
-            product.quantity = originalQty;
             product.hasWarning = true;
-            product.conversionNote = `⚠️ ${originalQty}kg may round incorrectly in Freshware`;
+            product.conversionNote = `⚠️ ${this.formatQuantity(originalQty, sourceUnit)} may round incorrectly in Freshware`;
             console.log(`${productCode}: No conversion available`);
             return product;
         }
         
-        // Calculate conversion: kg to "each" units
-        const kgToGrams = originalQty * 1000;
-        const eachUnits = kgToGrams / conversion.eachWeight;
+        const source = units.find(unit => unit.unit === sourceUnit);
+        if (!source) {
+            product.hasWarning = true;
+            product.conversionNote = `⚠️ ${this.formatQuantity(originalQty, sourceUnit)} - ${productCode} has no ${sourceUnit} conversion`;
+            console.log(`${productCode}: No ${sourceUnit} conversion`);
+            return product;
+        }
         
-        // Round to avoid floating point precision issues
-        const roundedEachUnits = Math.round(eachUnits * 100) / 100;
+        // Express the quantity in every other unit, rounding to avoid floating point precision issues
+        const candidates = units
+            .filter(unit => unit.unit !== sourceUnit)
+            .map(unit => ({ unit: unit, quantity: Math.round(originalQty * source.factor / unit.factor * 100) / 100 }));
+        const whole = candidates
+            .filter(candidate => Math.abs(candidate.quantity - Math.round(candidate.quantity)) <= 0.001 && Math.round(candidate.quantity) > 0)
+            .sort((a, b) => b.unit.factor - a.unit.factor);
         
-        console.log(`${productCode}: ${originalQty}kg = ${kgToGrams}g ÷ ${conversion.eachWeight}g = ${eachUnits} units (rounded: ${roundedEachUnits})`);
+        console.log(`${productCode}: ${originalQty} ${sourceUnit} =`, candidates.map(c => `${c.quantity} ${c.unit.unit}`).join(', '));
         
-        // Check if conversion results in whole number (or very close to it)
-        if (Math.abs(roundedEachUnits - Math.round(roundedEachUnits)) > 0.001) {
-            // Still decimal after conversion - flag as warning
-            product.quantity = originalQty;
+        if (whole.length === 0) {
+            // Still decimal after conversion - round by policy, or flag as warning showing the finest unit
+            const finest = candidates.sort((a, b) => a.unit.factor - b.unit.factor)[0];
+            const rounding = finest ? this.getRoundingPolicy(productCode, customerCode, day) : null;
+            if (rounding && rounding.policy !== 'warn') {
+                return this.applyRoundingPolicy(product, rounding, source, finest, originalQty, originalUnitPrice);
+            }
+            
             product.hasWarning = true;
-            product.conversionNote = `⚠️ ${originalQty}kg → ${roundedEachUnits.toFixed(1)} ${productCode}E (still decimal)`;
+            product.conversionNote = finest
+                ? `⚠️ ${this.formatQuantity(originalQty, sourceUnit)} → ${finest.quantity.toFixed(1)} ${productCode}${this.getUnitSuffix(productCode, finest.unit.unit, unitsFor, day)} (still decimal)`
+                : `⚠️ ${this.formatQuantity(originalQty, sourceUnit)} may round incorrectly in Freshware`;
             console.log(`${productCode}: Still decimal after conversion`);
             return product;
         }
         
         // Successful conversion to whole number
-        const wholeEachUnits = Math.round(roundedEachUnits);
+        const target = whole[0];
+        const wholeUnits = Math.round(target.quantity);
         
         // Calculate the correct net price FIRST (based on original quantity and original unit price)
-        const correctNetPrice = originalQty * product.unitPrice;
+        const correctNetPrice = originalQty * originalUnitPrice;
         
-        // Now calculate the new unit price per "each"
-        const newUnitPrice = correctNetPrice / wholeEachUnits;
+        // Now calculate the new unit price per target unit
+        const newUnitPrice = correctNetPrice / wholeUnits;
         
         // Update product with converted values
-        product.quantity = wholeEachUnits;
+        product.quantity = wholeUnits;
         product.unitPrice = newUnitPrice;
         product.netPrice = correctNetPrice; // This stays the same as original calculation
         product.conversionApplied = true;
-        product.conversionNote = `✅ ${originalQty}kg → ${wholeEachUnits} ${productCode}E (${conversion.eachWeight}g each)`;
+        product.targetUnit = target.unit.unit;
+        product.conversionNote = `✅ ${this.formatQuantity(originalQty, sourceUnit)} → ${wholeUnits} ${productCode}${this.getUnitSuffix(productCode, target.unit.unit, unitsFor, day)} (${this.describeFactor(source, target.unit, unitsFor)})`;
         
-        console.log(`${productCode}: Successfully converted to ${wholeEachUnits} units at £${newUnitPrice.toFixed(2)} each`);
+        console.log(`${productCode}: Successfully converted to ${wholeUnits} ${target.unit.unit} at £${newUnitPrice.toFixed(2)} each`);
         return product;
     }
 
     /**
-     * Helper function to determine case size type from existing values
+     * Round a quantity that no unit makes whole, keeping the line's net price
+     * @param {Object} target - The finest unit to round in, with the decimal quantity in it
      */
-    getCaseSizeType(caseSize) {
-        if (!caseSize) return 'Each';
+    applyRoundingPolicy(product, rounding, source, target, originalQty, originalUnitPrice) {
+        const productCode = product.productCode;
+        const from = this.formatQuantity(originalQty, source.unit);
+        const unitsFor = product.conversionCustomerCode || '';
+        const day = this.getLineConversionDay(product);
+        const targetSKU = productCode + this.getUnitSuffix(productCode, target.unit.unit, unitsFor, day);
+        const by = `${rounding.customerCode || productCode} policy`;
+        const netPrice = Math.round(originalQty * originalUnitPrice * 100) / 100;
         
-        const caseLower = caseSize.toLowerCase();
+        product.roundingPolicy = rounding.policy;
         
-        if (caseLower.includes('kg') || caseLower.includes('kilo')) {
-            return 'Kilo';
-        } else if (caseLower.includes('box') || caseLower.includes('bx')) {
-            return 'Box';
+        if (rounding.policy === 'block') {
+            product.hasWarning = true;
+            product.conversionBlocked = true;
+            product.conversionNote = `⛔ ${from} → ${target.quantity.toFixed(1)} ${targetSKU} (still decimal) - blocked by ${by}`;
+            console.log(`${productCode}: Still decimal, blocked by ${by}`);
+            return product;
+        }
+        
+        const rounders = { up: Math.ceil, down: Math.floor, nearest: Math.round, mixed: Math.floor };
+        const wholeUnits = rounders[rounding.policy](target.quantity);
+        
+        if (wholeUnits === 0) {
+            product.hasWarning = true;
+            product.conversionNote = `⚠️ ${from} → ${target.quantity.toFixed(1)} ${targetSKU} (still decimal - ${by} would round it to 0)`;
+            console.log(`${productCode}: Still decimal, rounds to 0 under ${by}`);
+            return product;
+        }
+        
+        product.quantity = wholeUnits;
+        product.netPrice = netPrice; // Preserved under every policy
+        product.conversionApplied = true;
+        product.targetUnit = target.unit.unit;
+        
+        if (rounding.policy === 'mixed') {
+            // Whole units of the target, plus the rest as a second line in the original unit
+            const wholeInSource = wholeUnits * target.unit.factor / source.factor;
+            const remainderQty = Math.round((originalQty - wholeInSource) * 1000) / 1000;
+            const wholeNetPrice = Math.round(wholeInSource * originalUnitPrice * 100) / 100;
+            
+            product.unitPrice = wholeNetPrice / wholeUnits;
+            product.remainder = {
+                quantity: remainderQty,
+                unit: source.unit,
+                unitPrice: originalUnitPrice,
+                netPrice: Math.round((netPrice - wholeNetPrice) * 100) / 100
+            };
+            product.conversionNote = `✅ ${from} → ${wholeUnits} ${targetSKU} + ${this.formatQuantity(remainderQty, source.unit)} ${productCode}${this.getUnitSuffix(productCode, source.unit, unitsFor, day)} (mixed line by ${by}; ${this.describeFactor(source, target.unit, unitsFor)})`;
         } else {
-            return 'Each';
+            product.unitPrice = netPrice / wholeUnits;
+            product.conversionNote = `✅ ${from} → ${wholeUnits} ${targetSKU} (${target.quantity} ${ConversionEngine.ROUNDING_NOTES[rounding.policy]} by ${by}; ${this.describeFactor(source, target.unit, unitsFor)})`;
         }
+        
+        console.log(`${productCode}: ${target.quantity} ${target.unit.unit} → ${wholeUnits} by ${by} (${rounding.policy})`);
+        return product;
+    }
+
+    /**
+     * Rounding policy for a product on a customer's order - the most specific one set wins:
+     * the customer's policy for this product, then the product's own, then the customer's general policy
+     * @param {string} day - YYYY-MM-DD, for the product's policy as it was then
+     * @returns {Object|null} { policy, customerCode } - customerCode is empty for product policies
+     */
+    getRoundingPolicy(productCode, customerCode = '', day = '') {
+        const customer = (customerCode || '').toUpperCase();
+        
+        const customerProductPolicy = customer ? this.roundingPoliciesCache.get(`${customer}|${productCode}`) : null;
+        if (customerProductPolicy) return { policy: customerProductPolicy, customerCode: customer };
+        
+        const conversion = this.getConversion(productCode, '', day);
+        if (conversion && conversion.roundingPolicy) return { policy: conversion.roundingPolicy, customerCode: '' };
+        
+        const customerPolicy = customer ? this.roundingPoliciesCache.get(customer) : null;
+        if (customerPolicy) return { policy: customerPolicy, customerCode: customer };
+        
+        return null;
+    }
+
+    /**
+     * The lines a product is exported as - mixed-policy lines add their remainder in the original unit
+     */
+    getExportLines(product) {
+        if (!product.remainder) return [product];
+        
+        const remainderLine = {
+            ...product,
+            quantity: product.remainder.quantity,
+            originalQuantity: product.remainder.quantity,
+            unitPrice: product.remainder.unitPrice,
+            netPrice: product.remainder.netPrice,
+            conversionApplied: true,
+            targetUnit: product.remainder.unit,
+            remainder: null
+        };
+        return [product, remainderLine];
+    }
+
+    /**
+     * Whether a customer has their own conversion for a product
+     */
+    hasCustomerConversion(productCode, customerCode) {
+        return !!customerCode && this.customerConversionsCache.has(`${customerCode.toUpperCase()}|${productCode}`);
+    }
+
+    /**
+     * The version of a product's conversion (the customer's own if they have one) in effect on a day
+     * Versions are sorted newest first; orders dated before the first version use the first version
+     * @param {string} day - YYYY-MM-DD, today when blank
+     * @returns {Object|null} { version, effectiveFrom, changedBy, changedAt, eachWeight, units, roundingPolicy }
+     */
+    getConversion(productCode, customerCode = '', day = '') {
+        const conversion = (this.hasCustomerConversion(productCode, customerCode)
+            ? this.customerConversionsCache.get(`${customerCode.toUpperCase()}|${productCode}`)
+            : null) || this.productConversionsCache.get(productCode);
+        if (!conversion) return null;
+        
+        const versions = conversion.versions || [];
+        if (versions.length === 0) return conversion;
+        
+        const on = day || this.toISODate('');
+        return versions.find(version => !version.effectiveFrom || version.effectiveFrom <= on) || versions[versions.length - 1];
+    }
+
+    /**
+     * A product's units and the factors between them, largest unit first - the customer's own if they have one
+     * Products set up with only an each weight convert between Kilo and Each
+     * @param {string} day - YYYY-MM-DD, for the units as they were then
+     * @returns {Array|null} [{ unit, factor, suffix? }] - factor is how many of the smallest unit make one of this unit
+     */
+    getProductUnits(productCode, customerCode = '', day = '') {
+        const conversion = this.getConversion(productCode, customerCode, day);
+        if (!conversion) return null;
+        
+        if (conversion.units && conversion.units.length > 1) {
+            return conversion.units;
+        }
+        if (conversion.eachWeight > 0) {
+            return [
+                { unit: 'Kilo', factor: 1000 / conversion.eachWeight },
+                { unit: 'Each', factor: 1 }
+            ];
+        }
+        return null;
+    }
+
+    /**
+     * The unit a line's quantity is in, from its case size
+     * "Each" is also the default when the order doesn't say, and a fractional "each" can't be meant,
+     * so decimals there are read as kilos (as they always were) when the product can be weighed
+     */
+    getSourceUnit(product, units) {
+        const unit = this.getCaseSizeType(product.caseSize);
+        if (unit === 'Each' && (!units || units.some(u => u.unit === 'Kilo'))) {
+            return 'Kilo';
+        }
+        return unit;
+    }
+
+    /**
+     * SKU suffix for a unit - the product's own suffix if its pack levels set one
+     */
+    getUnitSuffix(productCode, unitName, customerCode = '', day = '') {
+        const units = this.getProductUnits(productCode, customerCode, day) || [];
+        const unit = units.find(u => u.unit === unitName);
+        if (unit && unit.suffix) return unit.suffix;
+        return ConversionEngine.UNITS[unitName] ? ConversionEngine.UNITS[unitName].suffix : 'E';
+    }
+
+    formatQuantity(quantity, unitName) {
+        const unit = ConversionEngine.UNITS[unitName] || ConversionEngine.UNITS.Each;
+        return unit.compact ? `${quantity}${unit.label}` : `${quantity} ${unit.label}`;
+    }
+
+    /**
+     * The day a line was converted for (YYYY-MM-DD) - its SKU suffix comes from the same conversion version
+     */
+    getLineConversionDay(product) {
+        return product.conversionVersion ? product.conversionVersion.appliedOn : '';
+    }
+
+    /**
+     * Describe the conversion version a line used, for the review table
+     */
+    describeConversionVersion(product) {
+        const used = product.conversionVersion;
+        if (!used) return '';
+        
+        const from = used.effectiveFrom ? ` effective ${this.formatDate(used.effectiveFrom)}` : '';
+        const by = used.changedBy ? ` by ${used.changedBy}` : '';
+        const customer = product.conversionCustomerCode ? ` (${product.conversionCustomerCode} override)` : '';
+        return `Conversion v${used.version || 1}${from}${by}${customer}`;
+    }
+
+    /**
+     * DD/MM/YYYY → YYYY-MM-DD, today when the date is missing
+     */
+    toISODate(date) {
+        const match = (date || '').match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+        if (match) return `${match[3]}-${match[2]}-${match[1]}`;
+        
+        const today = new Date();
+        return `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+    }
+
+    formatDate(isoDate) {
+        const [year, month, day] = isoDate.split('-');
+        return `${day}/${month}/${year}`;
+    }
+
+    /**
+     * Describe how the two units relate, larger unit first - e.g. "500g each" or "1 box = 6kg"
+     * @param {string} customerCode - Set when the sizes are the customer's own
+     */
+    describeFactor(source, target, customerCode = '') {
+        const forCustomer = customerCode ? ` for ${customerCode}` : '';
+        if (source.unit === 'Kilo' && target.unit === 'Each') {
+            return `${Math.round(1000 * target.factor / source.factor)}g each${forCustomer}`;
+        }
+        
+        const [larger, smaller] = source.factor >= target.factor ? [source, target] : [target, source];
+        const size = Math.round(larger.factor / smaller.factor * 1000) / 1000;
+        return `1 ${ConversionEngine.UNITS[larger.unit].label} = ${this.formatQuantity(size, smaller.unit)}${forCustomer}`;
+    }
+
+    /**
+     * Helper function to determine case size type from existing values
+     */
+    getCaseSizeType(caseSize) {
+        if (!caseSize) return 'Each';
+        if (ConversionEngine.UNITS[caseSize]) return caseSize;
+        
+        const match = Object.keys(ConversionEngine.UNITS)
+            .find(name => ConversionEngine.UNITS[name].pattern && ConversionEngine.UNITS[name].pattern.test(caseSize));
+        return match || 'Each';
     }
 
     /**
@@ -129,9 +414,9 @@ class ConversionEngine {
         const caseSize = product.caseSize;
         const productCode = product.productCode;
         
-        // If conversion was applied, always use E suffix
+        // If conversion was applied, use the suffix of the unit it converted to
         if (product.conversionApplied) {
-            return 'E';
+            return this.getUnitSuffix(productCode, product.targetUnit || 'Each', product.conversionCustomerCode || '', this.getLineConversionDay(product));
         }
         
         if (!caseSize) return 'E'; // Default to EACH if no case size
@@ -139,7 +424,7 @@ class ConversionEngine {
         // Handle the simplified dropdown values
         if (caseSize === 'Kilo') {
             // Check if this product should avoid K suffix due to decimals
-            const hasConversion = this.productConversionsCache.has(productCode);
+            const hasConversion = this.getProductUnits(productCode, product.conversionCustomerCode || '', this.getLineConversionDay(product)) !== null;
             const isDecimal = this.isDecimalQuantity(product.originalQuantity || product.quantity);
             
             if (hasConversion && isDecimal) {
@@ -147,8 +432,8 @@ class ConversionEngine {
                 return 'E';
             }
             return 'K';
-        } else if (caseSize === 'Box') {
-            return 'B';
+        } else if (ConversionEngine.UNITS[caseSize]) {
+            return this.getUnitSuffix(productCode, caseSize, product.conversionCustomerCode || '', this.getLineConversionDay(product));
         } else {
             return 'E'; // Default to EACH for "Each" and everything else
         }
@@ -158,7 +443,7 @@ class ConversionEngine {
      * Process all products in an order and apply conversions
      */
     processOrderProducts(order) {
-        // Apply decimal conversions to all products
+        // Apply decimal conversions to all products, with the customer's rounding policies
         order.products = order.products.map(product => {
             // Store original quantity before conversion
             if (!product.originalQuantity) {
@@ -170,7 +455,7 @@ class ConversionEngine {
                 product.originalUnitPrice = product.unitPrice;
             }
             
-            return this.convertDecimalQuantity(product);
+            return this.convertDecimalQuantity(product, order.customerCode, order.orderDate);
         });
         
         // Recalculate order total after conversions
@@ -243,10 +528,11 @@ class ConversionEngine {
         
         orders.forEach(order => {
             order.products.forEach(product => {
-                if (product.hasWarning) {
+                if (product.hasWarning && !product.conversionBlocked) {
                     warnings.push({
                         productCode: product.productCode,
                         quantity: product.originalQuantity || product.quantity,
+                        unit: this.getSourceUnit(product, this.getProductUnits(product.productCode, order.customerCode, this.getLineConversionDay(product))),
                         filename: order.filename,
                         warning: product.conversionNote
                     });
@@ -257,6 +543,27 @@ class ConversionEngine {
         return warnings;
     }
 
+    /**
+     * Lines whose rounding policy blocks export
+     */
+    getBlockedLines(orders) {
+        const blocked = [];
+        
+        orders.forEach(order => {
+            order.products.forEach(product => {
+                if (product.conversionBlocked) {
+                    blocked.push({
+                        productCode: product.productCode,
+                        filename: order.filename,
+                        warning: product.conversionNote
+                    });
+                }
+            });
+        });
+        
+        return blocked;
+    }
+
     /**
      * Get conversion summary for export success message
      */
@@ -277,5 +584,85 @@ class ConversionEngine {
     }
 }
 
+/**
+ * Units products are sold in: SKU suffix, display label and the case size text that means them
+ * (patterns are checked in this order - anything unrecognised is Each)
+ */
+ConversionEngine.UNITS = {
+    Each: { suffix: 'E', label: 'each', pattern: null },
+    Kilo: { suffix: 'K', label: 'kg', compact: true, pattern: /kg|kilo/i },
+    Box: { suffix: 'B', label: 'box', pattern: /box|\bbx\b/i },
+    Tray: { suffix: 'T', label: 'tray', pattern: /tray|\btr\b/i },
+    Punnet: { suffix: 'P', label: 'punnet', pattern: /punnet|\bpun\b/i },
+    Bunch: { suffix: 'N', label: 'bunch', pattern: /bunch|\bbch\b|\bbn\b/i },
+    Litre: { suffix: 'L', label: 'L', compact: true, pattern: /litre|liter|\bltr\b|\d\s*l\b/i }
+};
+
+/**
+ * What to do when no unit makes a decimal quantity whole (warn is the default when none is set)
+ */
+ConversionEngine.ROUNDING_POLICIES = {
+    warn: 'Warn at export',
+    up: 'Round up',
+    down: 'Round down',
+    nearest: 'Round to nearest',
+    mixed: 'Whole units + remainder line',
+    block: 'Block export'
+};
+
+/**
+ * How each rounding policy reads in a conversion note
+ */
+ConversionEngine.ROUNDING_NOTES = {
+    up: 'rounded up',
+    down: 'rounded down',
+    nearest: 'rounded to nearest'
+};
+
+/**
+ * Parse pack levels written as a chain of equal amounts, e.g. "1 Box = 6 Kilo = 30 Each"
+ * A unit may carry its own SKU suffix in brackets: "1 Tray (TR) = 12 Punnet"
+ * @returns {Array} [{ unit, factor, suffix? }] largest unit first - factor is how many of the smallest unit make one
+ */
+ConversionEngine.parseUnits = (text) => {
+    const terms = String(text || '').split('=').map(term => term.trim()).filter(Boolean);
+    if (terms.length < 2) {
+        throw new Error('Pack levels need at least two units, e.g. "1 Box = 6 Kilo"');
+    }
+    
+    const engine = new ConversionEngine();
+    const levels = terms.map(term => {
+        const match = term.match(/^(\d+(?:\.\d+)?)?\s*([A-Za-z][A-Za-z ]*?)\s*(?:\(([A-Za-z0-9]+)\))?$/);
+        if (!match) {
+            throw new Error(`Can't read "${term}" - write amounts like "6 Kilo"`);
+        }
+        
+        const unit = engine.getCaseSizeType(match[2]);
+        if (unit === 'Each' && !/^(each|ea|unit|units)$/i.test(match[2])) {
+            throw new Error(`Unknown unit "${match[2]}" - use ${Object.keys(ConversionEngine.UNITS).join(', ')}`);
+        }
+        
+        const level = { unit: unit, count: match[1] ? parseFloat(match[1]) : 1 };
+        if (match[3]) level.suffix = match[3].toUpperCase();
+        return level;
+    });
+    
+    if (new Set(levels.map(level => level.unit)).size !== levels.length) {
+        throw new Error('Each unit can only appear once in the pack levels');
+    }
+    if (levels.some(level => !(level.count > 0))) {
+        throw new Error('Pack level amounts must be greater than zero');
+    }
+    
+    const mostUnits = Math.max(...levels.map(level => level.count));
+    return levels
+        .map(level => {
+            const unit = { unit: level.unit, factor: Math.round(mostUnits / level.count * 1000000) / 1000000 };
+            if (level.suffix) unit.suffix = level.suffix;
+            return unit;
+        })
+        .sort((a, b) => b.factor - a.factor);
+};
+
 // Export for use in other modules
 window.ConversionEngine = ConversionEngine;
\ No newline at end of file
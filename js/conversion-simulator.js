@@ -0,0 +1,215 @@
+/**
+ * Conversion Simulator Module
+ * Replays orders from history through ConversionEngine with proposed conversion changes, to show
+ * which lines a change would affect before it is saved on the settings page
+ */
+
+class ConversionSimulator {
+    /**
+     * @param {Object} caches - productConversionsCache, customerConversionsCache and roundingPoliciesCache
+     *                          (see FirebaseConfig.getCaches)
+     */
+    constructor(caches) {
+        this.caches = caches;
+        this.currentEngine = this.createEngine([]);
+    }
+
+    /**
+     * Parse proposed changes, one per line in the settings bulk import format:
+     * ProductCode, ProductName, EachWeightGrams, PackLevels, RoundingPolicy, CustomerCode
+     * A blank rounding policy keeps the product's current one
+     * @returns {Array} [{ productCode, customerCode, eachWeight, units, roundingPolicy }]
+     */
+    parseChanges(text) {
+        const changes = [];
+
+        text.split('\n').map(line => line.trim()).filter(line => line).forEach((line, index) => {
+            const [code = '', , weight = '', packLevels = '', policy = '', customer = ''] = line.split(',').map(field => field.trim());
+            const productCode = code.toUpperCase();
+            const eachWeight = parseInt(weight) || null;
+
+            // Skip a header row copied from the settings page
+            if (index === 0 && productCode === 'PRODUCTCODE') return;
+
+            if (!productCode || (!packLevels && !(eachWeight > 0))) {
+                throw new Error(`Line ${index + 1}: product code and a weight or pack levels are required`);
+            }
+
+            const roundingPolicy = policy.toLowerCase();
+            if (roundingPolicy && !ConversionEngine.ROUNDING_POLICIES[roundingPolicy]) {
+                throw new Error(`Line ${index + 1}: unknown rounding policy "${policy}"`);
+            }
+
+            let units = null;
+            try {
+                units = packLevels ? ConversionEngine.parseUnits(packLevels) : null;
+            } catch (error) {
+                throw new Error(`Line ${index + 1}: ${error.message}`);
+            }
+
+            changes.push({
+                productCode: productCode,
+                customerCode: customer.toUpperCase(),
+                eachWeight: eachWeight,
+                units: units,
+                roundingPolicy: roundingPolicy
+            });
+        });
+
+        return changes;
+    }
+
+    /**
+     * A conversion engine with the saved conversions - proposed changes replace a product's
+     * (or a customer's override of it) whole version history, so they apply to every replayed order
+     */
+    createEngine(changes) {
+        const productConversions = new Map(this.caches.productConversionsCache);
+        const customerConversions = new Map(this.caches.customerConversionsCache);
+
+        changes.forEach(change => {
+            const current = productConversions.get(change.productCode);
+            const conversion = {
+                name: current ? current.name : '',
+                eachWeight: change.eachWeight,
+                units: change.units,
+                roundingPolicy: change.roundingPolicy || (current ? current.roundingPolicy : '')
+            };
+
+            if (change.customerCode) {
+                customerConversions.set(`${change.customerCode}|${change.productCode}`, conversion);
+            } else {
+                productConversions.set(change.productCode, conversion);
+            }
+        });
+
+        const engine = new ConversionEngine();
+        engine.setProductConversionsCache(productConversions);
+        engine.setCustomerConversionsCache(customerConversions);
+        engine.setRoundingPoliciesCache(this.caches.roundingPoliciesCache);
+        return engine;
+    }
+
+    /**
+     * Replay history records through the saved and the proposed conversions
+     * Records saved before line items were kept in history can't be replayed and are counted as skipped
+     * @returns {Object} { ordersReplayed, ordersSkipped, linesReplayed, toConverted, toWarning, quantityChanged, priceChanged, lines }
+     */
+    simulate(records, changes) {
+        const proposedEngine = this.createEngine(changes);
+        const result = {
+            ordersReplayed: 0,
+            ordersSkipped: 0,
+            linesReplayed: 0,
+            toConverted: 0,
+            toWarning: 0,
+            quantityChanged: 0,
+            priceChanged: 0,
+            lines: []
+        };
+
+        records.forEach(record => {
+            if (!record.lineItems || record.lineItems.length === 0) {
+                result.ordersSkipped++;
+                return;
+            }
+
+            const current = this.currentEngine.processOrderProducts(this.buildOrder(record));
+            const proposed = proposedEngine.processOrderProducts(this.buildOrder(record));
+            result.ordersReplayed++;
+
+            current.products.forEach((before, index) => {
+                const line = this.compareLine(before, proposed.products[index], proposedEngine);
+                result.linesReplayed++;
+                if (!line) return;
+
+                if (line.before.status !== 'converted' && line.after.status === 'converted') result.toConverted++;
+                if (line.before.status === 'converted' && line.after.status !== 'converted') result.toWarning++;
+                if (line.quantityChanged) result.quantityChanged++;
+                if (line.priceChanged) result.priceChanged++;
+
+                result.lines.push({
+                    filename: record.originalFileName || '',
+                    customerCode: record.customerCode || '',
+                    purchaseOrderNumber: record.purchaseOrderNumber || '',
+                    orderDate: record.orderDate || '',
+                    ...line
+                });
+            });
+        });
+
+        console.log(`🧪 Replayed ${result.linesReplayed} line(s) from ${result.ordersReplayed} order(s): ${result.lines.length} would change`);
+        return result;
+    }
+
+    /**
+     * An order to replay, with each line as it was parsed
+     */
+    buildOrder(record) {
+        return {
+            filename: record.originalFileName || '',
+            customerCode: record.customerCode || '',
+            orderDate: record.orderDate || '',
+            products: record.lineItems.map(item => ({
+                productCode: item.productCode,
+                description: item.description || '',
+                caseSize: item.caseSize || '',
+                quantity: item.originalQuantity,
+                unitPrice: item.originalUnitPrice,
+                netPrice: Math.round(item.originalQuantity * item.originalUnitPrice * 100) / 100
+            }))
+        };
+    }
+
+    /**
+     * Compare a line converted the saved way and the proposed way
+     * @returns {Object|null} { productCode, originalQuantity, before, after, statusChanged, quantityChanged, priceChanged } -
+     *                        null when the line would be exported the same
+     */
+    compareLine(before, after, proposedEngine) {
+        const was = this.describeLine(before, this.currentEngine);
+        const now = this.describeLine(after, proposedEngine);
+
+        const statusChanged = was.status !== now.status;
+        const quantityChanged = was.exported !== now.exported;
+        const priceChanged = was.unitPrice !== now.unitPrice;
+        if (!statusChanged && !quantityChanged && !priceChanged) return null;
+
+        return {
+            productCode: before.productCode,
+            originalQuantity: before.originalQuantity,
+            before: was,
+            after: now,
+            statusChanged: statusChanged,
+            quantityChanged: quantityChanged,
+            priceChanged: priceChanged
+        };
+    }
+
+    /**
+     * What a converted line exports as: its status, the exported quantities and SKUs, and the unit price
+     */
+    describeLine(product, engine) {
+        let status = 'unchanged';
+        if (product.conversionBlocked) status = 'blocked';
+        else if (product.hasWarning) status = 'warning';
+        else if (product.conversionApplied) status = 'converted';
+
+        return {
+            status: status,
+            exported: engine.getExportLines(product)
+                .map(line => `${line.quantity} ${line.productCode}${engine.getSKUSuffix(line)}`)
+                .join(' + '),
+            unitPrice: Math.round(product.unitPrice * 100) / 100,
+            note: product.conversionNote
+        };
+    }
+}
+
+/**
+ * How far back the simulator replays orders by default (days)
+ */
+ConversionSimulator.DEFAULT_DAYS = 30;
+
+// Export for use in other modules
+window.ConversionSimulator = ConversionSimulator;
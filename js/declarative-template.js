@@ -0,0 +1,269 @@
+/**
+ * Declarative Template Module
+ * Builds registry templates from data stored in Firestore (anchors, field regexes,
+ * table column labels, date formats) so a new customer layout needs no code change
+ */
+
+class DeclarativeTemplate {
+    /**
+     * Check a definition before it is saved or registered
+     * @returns {Array} Error messages - empty when the definition is usable
+     */
+    static validate(definition) {
+        const errors = [];
+
+        if (!definition || !definition.templateId || !/^[a-z0-9-]+$/.test(definition.templateId)) {
+            errors.push('Template ID must use lowercase letters, numbers and dashes only');
+        }
+        if (!definition || !definition.name) {
+            errors.push('Template name is required');
+        }
+        if (!definition || !Array.isArray(definition.anchors) || definition.anchors.length === 0) {
+            errors.push('At least one anchor is required');
+        }
+
+        ((definition && definition.anchors) || []).forEach(anchor => {
+            try {
+                DeclarativeTemplate.compilePattern(anchor.text, true);
+            } catch (error) {
+                errors.push(`Anchor "${anchor.text}": ${error.message}`);
+            }
+        });
+
+        Object.entries((definition && definition.fields) || {}).forEach(([field, rule]) => {
+            if (!rule || !rule.pattern) return;
+            try {
+                DeclarativeTemplate.compilePattern(rule.pattern);
+            } catch (error) {
+                errors.push(`Field ${field}: ${error.message}`);
+            }
+        });
+
+        const table = definition && definition.table;
+        if (table && table.endPattern) {
+            try {
+                DeclarativeTemplate.compilePattern(table.endPattern);
+            } catch (error) {
+                errors.push(`Table end pattern: ${error.message}`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Compile a stored pattern. "/source/flags" is used as written; anything else is a
+     * case-insensitive regex, or literal text when literal is true (anchors)
+     */
+    static compilePattern(source, literal = false) {
+        const text = String(source || '').trim();
+        if (!text) {
+            throw new Error('Pattern is empty');
+        }
+
+        const regexLiteral = text.match(/^\/(.+)\/([a-z]*)$/);
+        if (regexLiteral) {
+            return new RegExp(regexLiteral[1], regexLiteral[2].replace('g', ''));
+        }
+
+        if (literal) {
+            return new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        }
+
+        return new RegExp(text, 'i');
+    }
+
+    /**
+     * Build the registry template for a definition
+     * @param {Object} definition - Stored template definition
+     * @param {PDFParser} pdfParser - Supplies table extraction and catalog enhancement
+     */
+    static fromDefinition(definition, pdfParser) {
+        const table = definition.table || {};
+        const layoutEngine = new LayoutEngine({
+            columnDefinitions: DeclarativeTemplate.buildColumnDefinitions(table.columns),
+            tableEndPattern: table.endPattern ? DeclarativeTemplate.compilePattern(table.endPattern) : LayoutEngine.TABLE_END_PATTERN
+        });
+
+        return {
+            id: definition.templateId,
+            name: definition.name,
+            declarative: true,
+            definition: definition,
+            signals: definition.anchors.map(anchor => ({
+                pattern: DeclarativeTemplate.compilePattern(anchor.text, true),
+                weight: Number(anchor.weight) || DeclarativeTemplate.DEFAULT_ANCHOR_WEIGHT,
+                description: `Anchor "${anchor.text}"`
+            })),
+            parse: (layout, filename) => DeclarativeTemplate.parse(definition, layoutEngine, pdfParser, layout, filename)
+        };
+    }
+
+    /**
+     * Template column labels go first, built-in labels still apply
+     */
+    static buildColumnDefinitions(columns = {}) {
+        const definitions = {};
+
+        Object.entries(LayoutEngine.DEFAULT_COLUMNS).forEach(([key, labels]) => {
+            const custom = ((columns && columns[key]) || [])
+                .map(label => LayoutEngine.normalizeLabel(label))
+                .filter(label => label);
+            definitions[key] = [...custom, ...labels];
+        });
+
+        return definitions;
+    }
+
+    /**
+     * Parse an order using a definition
+     */
+    static async parse(definition, layoutEngine, pdfParser, layout, filename) {
+        const text = layout.text;
+        const fields = definition.fields || {};
+        const table = definition.table || {};
+
+        const order = {
+            filename: filename,
+            type: definition.name,
+            customerCode: '',
+            customerName: '',
+            poNumber: '',
+            orderDate: '',
+            deliveryDate: '',
+            products: [],
+            total: 0
+        };
+
+        DeclarativeTemplate.HEADER_FIELDS.forEach(field => {
+            const rule = fields[field];
+            const value = DeclarativeTemplate.extractField(text, rule);
+            if (!value) return;
+
+            order[field] = field.endsWith('Date')
+                ? DeclarativeTemplate.normalizeDate(value, rule.dateFormat || definition.dateFormat)
+                : value;
+            pdfParser.recordField(order, field, rule.value ? 'Template fixed value' : `Template ${field} pattern`, 'high',
+                rule.value ? null : pdfParser.locateText(layout, value));
+        });
+
+        const products = pdfParser.extractTableProducts(layout, {
+            layoutEngine: layoutEngine,
+            isValid: product => !table.requirePrice || product.unitPrice > 0
+        }) || [];
+
+        for (const product of products) {
+            const enhancedProduct = await pdfParser.enhanceProductWithCatalog(product);
+            order.products.push(enhancedProduct);
+            order.total += enhancedProduct.netPrice;
+        }
+
+        if (fields.total) {
+            const printedTotal = pdfParser.parseNumber(DeclarativeTemplate.extractField(text, fields.total));
+            if (printedTotal > 0) {
+                order.printedTotal = printedTotal;
+                if (order.total === 0) order.total = printedTotal;
+            }
+        }
+
+        console.log(`🧩 ${definition.name} parsed: ${order.products.length} products`);
+        return order;
+    }
+
+    /**
+     * Read one field: a fixed value, or the first capture group of its pattern
+     */
+    static extractField(text, rule) {
+        if (!rule) return '';
+        if (rule.value) return String(rule.value).trim();
+        if (!rule.pattern) return '';
+
+        try {
+            const match = text.match(DeclarativeTemplate.compilePattern(rule.pattern));
+            if (!match) return '';
+            return (match[1] !== undefined ? match[1] : match[0]).trim();
+        } catch (error) {
+            console.error(`❌ Invalid field pattern ${rule.pattern}:`, error);
+            return '';
+        }
+    }
+
+    /**
+     * Convert a date written in the template's format to DD/MM/YYYY
+     * Unrecognised values are returned unchanged for the reviewer to correct
+     */
+    static normalizeDate(value, format = DeclarativeTemplate.DEFAULT_DATE_FORMAT) {
+        const parts = (format || DeclarativeTemplate.DEFAULT_DATE_FORMAT).match(/YYYY|YY|MMMM|MMM|MM|M|DD|D|[^YMD]+/g) || [];
+        const tokens = [];
+
+        const source = parts.map(part => {
+            if (DeclarativeTemplate.DATE_TOKENS[part]) {
+                tokens.push(part);
+                return DeclarativeTemplate.DATE_TOKENS[part];
+            }
+            return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s*');
+        }).join('');
+
+        const match = value.match(new RegExp(source, 'i'));
+        if (!match) {
+            console.warn(`⚠️ Date "${value}" does not match format ${format}`);
+            return value;
+        }
+
+        let day = '';
+        let month = '';
+        let year = '';
+        tokens.forEach((token, index) => {
+            const part = match[index + 1];
+            if (token.startsWith('D')) {
+                day = part;
+            } else if (token === 'MMM' || token === 'MMMM') {
+                const monthIndex = DeclarativeTemplate.MONTHS.indexOf(part.slice(0, 3).toLowerCase());
+                month = monthIndex >= 0 ? String(monthIndex + 1) : '';
+            } else if (token.startsWith('M')) {
+                month = part;
+            } else {
+                year = token === 'YY' ? `20${part}` : part;
+            }
+        });
+
+        if (!day || !month || !year) {
+            return value;
+        }
+
+        return `${day.padStart(2, '0')}/${month.padStart(2, '0')}/${year}`;
+    }
+}
+
+/**
+ * Order fields a definition can extract with a regex
+ */
+DeclarativeTemplate.HEADER_FIELDS = ['poNumber', 'customerCode', 'customerName', 'orderDate', 'deliveryDate'];
+
+/**
+ * Score each anchor adds when no weight is given
+ */
+DeclarativeTemplate.DEFAULT_ANCHOR_WEIGHT = 30;
+
+DeclarativeTemplate.DEFAULT_DATE_FORMAT = 'DD/MM/YYYY';
+
+/**
+ * Date formats offered on the settings page
+ */
+DeclarativeTemplate.DATE_FORMATS = ['DD/MM/YYYY', 'DD-MM-YYYY', 'DD.MM.YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD', 'DD-MMM-YYYY', 'DD MMM YYYY', 'D MMMM YYYY', 'DD/MM/YY'];
+
+DeclarativeTemplate.DATE_TOKENS = {
+    YYYY: '(\\d{4})',
+    YY: '(\\d{2})',
+    MMMM: '([A-Za-z]+)',
+    MMM: '([A-Za-z]{3})',
+    MM: '(\\d{1,2})',
+    M: '(\\d{1,2})',
+    DD: '(\\d{1,2})',
+    D: '(\\d{1,2})'
+};
+
+DeclarativeTemplate.MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Export for use in other modules
+window.DeclarativeTemplate = DeclarativeTemplate;
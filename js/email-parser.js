@@ -0,0 +1,277 @@
+/**
+ * Email Parser Module
+ * Reads .eml files locally (no upload) and pulls out the order attachments (PDFs and spreadsheets) with
+ * the sender, subject and received date so orders can be traced back to their email
+ */
+
+class EmailParser {
+    /**
+     * Check whether a dropped file is a saved email
+     */
+    isEmailFile(file) {
+        return file.type === 'message/rfc822' || file.name.toLowerCase().endsWith('.eml');
+    }
+
+    /**
+     * Parse an .eml file - PDF and spreadsheet attachments are taken as orders
+     * @returns {Object} { from, fromName, fromAddress, subject, receivedAt, attachments: [File] }
+     */
+    async parseEmlFile(file) {
+        const raw = this.bytesToBinary(new Uint8Array(await file.arrayBuffer()));
+        const message = this.parseEntity(raw);
+
+        const fromHeader = this.decodeHeader(this.getHeader(message, 'from'));
+        const sender = this.parseAddress(fromHeader);
+        const receivedAt = this.getReceivedDate(message);
+
+        const emailSource = {
+            emlFilename: file.name,
+            from: fromHeader,
+            fromName: sender.name,
+            fromAddress: sender.address,
+            subject: this.decodeHeader(this.getHeader(message, 'subject')),
+            receivedAt: receivedAt ? receivedAt.toISOString() : null
+        };
+
+        const attachments = this.collectAttachments(message)
+            .filter(part => part.contentType === 'application/pdf' ||
+                EmailParser.ORDER_EXTENSIONS.some(extension => part.filename.toLowerCase().endsWith(extension)))
+            .map(part => {
+                const isPDF = part.contentType === 'application/pdf' || !part.filename || part.filename.toLowerCase().endsWith('.pdf');
+                const orderFile = new File([part.bytes], part.filename || `${file.name.replace(/\.eml$/i, '')}.pdf`, {
+                    type: isPDF ? 'application/pdf' : part.contentType,
+                    lastModified: receivedAt ? receivedAt.getTime() : Date.now()
+                });
+                orderFile.emailSource = emailSource;
+                return orderFile;
+            });
+
+        console.log(`✉️ ${file.name}: ${attachments.length} order attachment(s) from ${emailSource.fromAddress || 'unknown sender'}`);
+
+        return { ...emailSource, attachments };
+    }
+
+    /**
+     * Split a MIME entity into headers and body, parsing multipart bodies recursively
+     * @param {string} raw - Entity as a binary string (one character per byte)
+     */
+    parseEntity(raw) {
+        const separator = raw.match(/\r?\n\r?\n/);
+        const headerText = separator ? raw.slice(0, separator.index) : raw;
+        const body = separator ? raw.slice(separator.index + separator[0].length) : '';
+
+        const headers = [];
+        headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+            const colon = line.indexOf(':');
+            if (colon > 0) {
+                headers.push({ name: line.slice(0, colon).trim().toLowerCase(), value: line.slice(colon + 1).trim() });
+            }
+        });
+
+        const entity = { headers, body, parts: [] };
+        const contentType = this.parseHeaderParams(this.getHeader(entity, 'content-type') || 'text/plain');
+        entity.contentType = contentType.value.toLowerCase();
+        entity.params = contentType.params;
+
+        if (entity.contentType.startsWith('multipart/') && contentType.params.boundary) {
+            entity.parts = this.splitMultipart(body, contentType.params.boundary).map(part => this.parseEntity(part));
+        } else if (entity.contentType === 'message/rfc822') {
+            // Forwarded emails carry the original message (and its attachments) as a part
+            entity.parts = [this.parseEntity(this.decodeBody(body, this.getHeader(entity, 'content-transfer-encoding'), true))];
+        }
+
+        return entity;
+    }
+
+    splitMultipart(body, boundary) {
+        const delimiter = `--${boundary}`;
+        const parts = [];
+
+        body.split(delimiter).slice(1).forEach(chunk => {
+            if (chunk.startsWith('--')) return; // Closing delimiter
+            parts.push(chunk.replace(/^[ \t]*\r?\n/, '').replace(/\r?\n$/, ''));
+        });
+
+        return parts;
+    }
+
+    /**
+     * Every leaf part with a filename or a PDF content type, in document order
+     */
+    collectAttachments(entity, attachments = []) {
+        if (entity.parts.length > 0) {
+            entity.parts.forEach(part => this.collectAttachments(part, attachments));
+            return attachments;
+        }
+
+        const disposition = this.parseHeaderParams(this.getHeader(entity, 'content-disposition') || '');
+        const filename = this.getFilenameParam(disposition.params, 'filename') || this.getFilenameParam(entity.params, 'name');
+
+        if (filename || entity.contentType === 'application/pdf') {
+            const binary = this.decodeBody(entity.body, this.getHeader(entity, 'content-transfer-encoding'), true);
+            attachments.push({
+                filename: filename,
+                contentType: entity.contentType,
+                bytes: this.binaryToBytes(binary)
+            });
+        }
+
+        return attachments;
+    }
+
+    getHeader(entity, name) {
+        const header = entity.headers.find(h => h.name === name);
+        return header ? header.value : '';
+    }
+
+    /**
+     * Parse `value; key=value; key="quoted value"` header syntax
+     */
+    parseHeaderParams(header) {
+        const [value, ...rest] = header.split(';');
+        const params = {};
+
+        rest.join(';').replace(/([\w*-]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g, (match, key, paramValue) => {
+            params[key.toLowerCase()] = paramValue.trim().replace(/^"|"$/g, '').replace(/\\(.)/g, '$1');
+            return match;
+        });
+
+        return { value: value.trim(), params };
+    }
+
+    /**
+     * Read a filename parameter, including the RFC 2231 form (filename*=UTF-8''name%20here.pdf)
+     */
+    getFilenameParam(params, key) {
+        if (params[key]) return this.decodeHeader(params[key]);
+
+        const extended = params[`${key}*`];
+        if (extended) {
+            const match = extended.match(/^([^']*)'[^']*'(.*)$/);
+            if (match) {
+                return this.decodeText(this.binaryFromPercent(match[2]), match[1] || 'utf-8');
+            }
+            return extended;
+        }
+
+        // Long names split over numbered parameters (filename*0, filename*1, ...)
+        const pieces = Object.keys(params)
+            .filter(name => new RegExp(`^${key}\\*\\d+\\*?$`).test(name))
+            .sort((a, b) => parseInt(a.split('*')[1]) - parseInt(b.split('*')[1]));
+        if (pieces.length > 0) {
+            return pieces.map(name => name.endsWith('*')
+                ? this.decodeText(this.binaryFromPercent(params[name].replace(/^[^']*'[^']*'/, '')), 'utf-8')
+                : this.decodeHeader(params[name])).join('');
+        }
+
+        return '';
+    }
+
+    /**
+     * Decode a transfer-encoded body
+     * @returns {string} Binary string when binary is true, otherwise decoded text
+     */
+    decodeBody(body, encoding, binary = false) {
+        const transferEncoding = (encoding || '').toLowerCase().trim();
+        let decoded = body;
+
+        if (transferEncoding === 'base64') {
+            decoded = atob(body.replace(/[^A-Za-z0-9+/=]/g, ''));
+        } else if (transferEncoding === 'quoted-printable') {
+            decoded = body
+                .replace(/=\r?\n/g, '')
+                .replace(/=([0-9A-F]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+        }
+
+        return binary ? decoded : this.decodeText(decoded, 'utf-8');
+    }
+
+    /**
+     * Decode raw UTF-8 header bytes and RFC 2047 encoded words (=?UTF-8?B?...?= / =?ISO-8859-1?Q?...?=)
+     * A malformed encoded word is left as it is, so one bad header doesn't lose the email's attachments
+     */
+    decodeHeader(value) {
+        if (!value) return '';
+
+        return this.decodeText(value, 'utf-8')
+            .replace(/\?=\s+=\?/g, '?==?') // Whitespace between encoded words is not displayed
+            .replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (match, charset, encoding, text) => {
+                let binary;
+                try {
+                    binary = encoding.toUpperCase() === 'B'
+                        ? atob(text)
+                        : text.replace(/_/g, ' ').replace(/=([0-9A-F]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+                } catch (error) {
+                    return match;
+                }
+                return this.decodeText(binary, charset);
+            });
+    }
+
+    /**
+     * Split `Name <address>` into its parts
+     */
+    parseAddress(value) {
+        const angle = value.match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>/);
+        if (angle) {
+            return { name: angle[1].trim(), address: angle[2].trim().toLowerCase() };
+        }
+
+        const bare = value.match(/[^\s<>"]+@[^\s<>"]+/);
+        return { name: '', address: bare ? bare[0].toLowerCase() : '' };
+    }
+
+    /**
+     * When the message arrived: the newest Received header, falling back to the Date header
+     */
+    getReceivedDate(message) {
+        const received = message.headers.find(h => h.name === 'received');
+        if (received && received.value.includes(';')) {
+            const date = new Date(received.value.slice(received.value.lastIndexOf(';') + 1).trim());
+            if (!isNaN(date.getTime())) return date;
+        }
+
+        const date = new Date(this.getHeader(message, 'date'));
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Decode a binary string in the given charset, leaving it as-is if it isn't valid in that charset
+     */
+    decodeText(binary, charset) {
+        try {
+            return new TextDecoder(charset.trim().toLowerCase(), { fatal: true }).decode(this.binaryToBytes(binary));
+        } catch (error) {
+            return binary;
+        }
+    }
+
+    binaryFromPercent(text) {
+        return text.replace(/%([0-9A-F]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
+
+    binaryToBytes(binary) {
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i) & 0xff;
+        }
+        return bytes;
+    }
+
+    bytesToBinary(bytes) {
+        let binary = '';
+        const chunkSize = 0x8000;
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+        }
+        return binary;
+    }
+}
+
+/**
+ * Attachment types taken from an email as orders
+ */
+EmailParser.ORDER_EXTENSIONS = ['.pdf', '.xlsx', '.xls', '.csv'];
+
+// Export for use in other modules
+window.EmailParser = EmailParser;
@@ -4,58 +4,356 @@
  */
 
 class ExportManager {
-    constructor(firebaseConfig, conversionEngine) {
+    constructor(firebaseConfig, conversionEngine, reconciliationEngine, priceListEngine) {
         this.firebaseConfig = firebaseConfig;
         this.conversionEngine = conversionEngine;
+        this.reconciliationEngine = reconciliationEngine;
+        this.priceListEngine = priceListEngine;
     }
 
     /**
-     * Main export function - Export approved orders to Excel in Freshware format
+     * First step of an export - check the approved orders and build the preview of the rows to be written
+     * Problems the reviewer must fix on the order itself are thrown; everything else is shown in the preview
+     * @param {string} profileId - Export profile (see FirebaseConfig.getExportProfiles), Freshware by default
+     * @param {Object} split - { by, output } - by is a key of ExportManager.SPLIT_OPTIONS, output is 'files'
+     *                         (one workbook per part, zipped) or 'sheets' (one sheet per part)
+     * @returns {Object} { batchId, profile, orders, split, parts, preview } - pass to writeExport with the orders to include
      */
-    async exportToExcel(approvedOrders) {
+    async prepareExport(approvedOrders, profileId = ExportProfile.DEFAULT_PROFILE_ID, split = { by: 'none', output: 'files' }) {
         if (approvedOrders.length === 0) {
             throw new Error('No orders approved for export!\n\nPlease approve at least one order before exporting.');
         }
         
-        // Validate customer email mappings
-        const missingEmails = await this.validateCustomerEmails(approvedOrders);
+        // Prices that differ from the customer's price list need a decision on every line
+        const undecidedPrices = this.getUndecidedPrices(approvedOrders);
+        if (undecidedPrices.length > 0) {
+            throw new Error(this.formatUndecidedPricesError(undecidedPrices));
+        }
+        
+        // Lines a rounding policy blocked can't be exported as they are
+        const blockedLines = this.conversionEngine.getBlockedLines(approvedOrders);
+        if (blockedLines.length > 0) {
+            throw new Error(this.formatBlockedLinesError(blockedLines));
+        }
+        
+        // Orders exported together share a batch, so history can show what else was in the file - each order's
+        // ID in the file comes from the batch, so it is unique and the same on all of the order's rows
+        const batchId = `EXP-${new Date().toISOString().replace(/[-:]/g, '').slice(0, 15)}`;
+        this.assignExportIds(approvedOrders, batchId);
+        
+        const profile = this.firebaseConfig.getExportProfile(profileId);
+        const parts = this.splitOrders(approvedOrders, split.by);
+        return {
+            batchId: batchId,
+            profile: profile,
+            orders: approvedOrders,
+            split: split,
+            parts: parts,
+            preview: await this.buildPreview(approvedOrders, parts, profile, split)
+        };
+    }
+
+    /**
+     * Second step - write the file with the orders the reviewer kept in the preview and save them to history
+     * A split export is one download too: a zip of the parts' workbooks, or one workbook with a sheet per part
+     * @param {Object} plan - From prepareExport
+     * @param {Array} orders - The plan's orders to export
+     */
+    async writeExport(plan, orders) {
+        if (orders.length === 0) {
+            throw new Error('No orders left in the export!\n\nInclude at least one order in the preview.');
+        }
+        
+        // Freshware needs an email on every order
+        const missingEmails = await this.validateCustomerEmails(orders);
         if (missingEmails.length > 0) {
             throw new Error(this.formatMissingEmailsError(missingEmails));
         }
         
-        // Check for conversion warnings
-        const warnings = this.conversionEngine.getConversionWarnings(approvedOrders);
-        if (warnings.length > 0) {
-            const shouldContinue = await this.showConversionWarnings(warnings);
-            if (!shouldContinue) {
-                throw new Error('Export cancelled by user');
-            }
-        }
+        const profile = plan.profile;
+        const now = new Date();
+        const isSplit = plan.split.by !== 'none';
         
-        // Generate Excel file
-        const workbook = await this.generateWorkbook(approvedOrders);
+        // Parts keep the order of the preview, less the orders left out
+        const included = new Set(orders.map(order => plan.orders.indexOf(order)));
+        const parts = plan.parts
+            .map(part => ({ key: part.key, entries: part.entries.filter(entry => included.has(entry.orderIndex)) }))
+            .filter(part => part.entries.length > 0);
         
         // Generate filename with current date
-        const today = new Date().toISOString().split('T')[0];
-        const filename = `freshware_orders_${today}.xlsx`;
+        const today = now.toISOString().split('T')[0];
+        let filename = ExportProfile.buildFilename(profile, today);
+        
+        if (!isSplit) {
+            XLSX.writeFile(await this.generateWorkbook(orders, profile), filename);
+        } else if (plan.split.output === 'sheets') {
+            const workbook = XLSX.utils.book_new();
+            const sheetNames = new Set();
+            for (const part of parts) {
+                part.file = ExportManager.buildSheetName(part.key, sheetNames);
+                sheetNames.add(part.file);
+                XLSX.utils.book_append_sheet(workbook, await this.buildWorksheet(part.entries.map(entry => entry.order), profile), part.file);
+            }
+            XLSX.writeFile(workbook, filename);
+        } else {
+            if (typeof JSZip === 'undefined') {
+                throw new Error('The zip library did not load - reload the page, or export the parts as sheets in one workbook.');
+            }
+            
+            const zip = new JSZip();
+            for (const part of parts) {
+                part.file = ExportProfile.buildFilename(profile, `${today}_${ExportManager.buildPartSlug(part.key)}`);
+                const workbook = await this.generateWorkbook(part.entries.map(entry => entry.order), profile);
+                zip.file(part.file, XLSX.write(workbook, { bookType: 'xlsx', type: 'array' }));
+            }
+            filename = filename.replace(/\.xlsx$/, '.zip');
+            this.downloadFile(await zip.generateAsync({ type: 'blob' }), filename, 'application/zip');
+        }
         
-        // Save file
-        XLSX.writeFile(workbook, filename);
+        // Each order notes the files (or sheets) its lines went to, the ID it has in each and which of its
+        // lines (indexes into its history line items) each part holds, so a re-export writes the same parts
+        if (isSplit) {
+            orders.forEach(order => {
+                order.exportParts = parts.reduce((all, part) => all.concat(part.entries
+                    .filter(entry => entry.orderIndex === plan.orders.indexOf(order))
+                    .map(entry => ({
+                        key: part.key,
+                        file: part.file,
+                        exportId: entry.order.exportId,
+                        lineCount: this.countExportLines(entry.order),
+                        lineIndexes: entry.order.products.map(product => order.products.indexOf(product))
+                    }))), []);
+            });
+        }
         
-        // Save order history to Firebase
-        await this.firebaseConfig.saveOrderHistory(approvedOrders);
+        // Save order history to Firebase, with every line as it was written to the file
+        const exportBatch = {
+            id: plan.batchId,
+            filename: filename,
+            orderCount: orders.length,
+            profileId: profile.profileId,
+            split: isSplit ? {
+                by: plan.split.by,
+                output: plan.split.output,
+                parts: parts.map(part => ({
+                    key: part.key,
+                    file: part.file,
+                    orderCount: part.entries.length,
+                    lineCount: part.entries.reduce((sum, entry) => sum + this.countExportLines(entry.order), 0)
+                }))
+            } : null
+        };
+        await this.firebaseConfig.saveOrderHistory(orders, orders.map(order => this.buildHistoryLineItems(order)), exportBatch);
         
         // Update processed PO numbers for future duplicate detection
-        approvedOrders.forEach(order => {
+        orders.forEach(order => {
             this.firebaseConfig.addProcessedPO(order.poNumber);
         });
         
         // Return success summary
         return {
             filename,
-            orderCount: approvedOrders.length,
-            productCount: approvedOrders.reduce((sum, order) => sum + order.products.length, 0),
-            conversionSummary: this.conversionEngine.getConversionSummary(approvedOrders)
+            batchId: exportBatch.id,
+            profileName: profile.name,
+            split: exportBatch.split,
+            orderCount: orders.length,
+            excludedCount: plan.orders.length - orders.length,
+            productCount: orders.reduce((sum, order) => sum + order.products.length, 0),
+            conversionSummary: this.conversionEngine.getConversionSummary(orders)
+        };
+    }
+
+    /**
+     * Regenerate the Freshware file for orders already exported, from the lines stored in order history,
+     * in the export profile the orders were first exported with
+     * The file is named and labelled as a re-export; no history records are added and the POs aren't
+     * counted as processed again - each record just notes that it was re-exported
+     * @param {Array} records - orderHistory documents, with their id
+     * @param {string} reExportedBy - Name of the person regenerating the file
+     */
+    async reExportFromHistory(records, reExportedBy = '') {
+        if (records.length === 0) {
+            throw new Error('No orders selected for re-export!');
+        }
+        
+        const withoutLines = records.filter(record => !record.lineItems || record.lineItems.length === 0);
+        if (withoutLines.length > 0) {
+            let message = `❌ Cannot re-export! ${withoutLines.length} order${withoutLines.length !== 1 ? 's were' : ' was'} exported before line items were kept in history:\n\n`;
+            withoutLines.forEach(record => {
+                message += `• ${record.purchaseOrderNumber || record.originalFileName} (${record.customerCode})\n`;
+            });
+            message += '\nThese orders can only be re-created by processing the original files again.';
+            throw new Error(message);
+        }
+        
+        const orders = records.reduce((all, record) => all.concat(this.buildOrdersFromHistory(record)), []);
+        const batch = records.map(record => record.exportBatch).find(exportBatch => exportBatch && exportBatch.profileId);
+        const profile = this.firebaseConfig.getExportProfile(batch ? batch.profileId : ExportProfile.DEFAULT_PROFILE_ID);
+        const workbook = await this.generateWorkbook(orders, profile);
+        
+        // Say what the file is on a sheet of its own, so the order rows stay as Freshware expects them
+        const now = new Date();
+        const batchIds = [...new Set(records.map(record => record.exportBatch ? record.exportBatch.id : '').filter(id => id))];
+        const info = XLSX.utils.aoa_to_sheet([
+            ['RE-EXPORT - these orders were already exported'],
+            ['Regenerated at', now.toISOString()],
+            ['Regenerated by', reExportedBy],
+            ['Original batches', batchIds.join(', ')],
+            ['Export profile', profile.name],
+            ['Orders', orders.map(order => order.poNumber || order.filename).join(', ')]
+        ]);
+        XLSX.utils.book_append_sheet(workbook, info, 'Re-export');
+        
+        const filename = ExportProfile.buildFilename(profile, `REEXPORT_${batchIds.length === 1 ? batchIds[0] : now.toISOString().split('T')[0]}`);
+        XLSX.writeFile(workbook, filename);
+        
+        await this.firebaseConfig.recordReExport(records.map(record => record.id), {
+            filename: filename,
+            reExportedAt: now.toISOString(),
+            reExportedBy: reExportedBy
+        });
+        
+        return {
+            filename,
+            orderCount: records.length,
+            productCount: orders.reduce((sum, order) => sum + order.products.length, 0)
+        };
+    }
+
+    /**
+     * Give each order its ID for the export: batch, customer and PO number, e.g. EXP-20250314T101502-07BELLA-PO12345
+     * Orders without a PO number are numbered within the batch; a repeated ID gets a -2, -3... suffix
+     */
+    assignExportIds(orders, batchId) {
+        const used = new Set();
+        
+        orders.forEach((order, index) => {
+            const baseId = ExportManager.buildExportId(batchId, order.customerCode, order.poNumber || `ORDER${index + 1}`);
+            let exportId = baseId;
+            for (let copy = 2; used.has(exportId); copy++) {
+                exportId = `${baseId}-${copy}`;
+            }
+            
+            used.add(exportId);
+            order.exportId = exportId;
+        });
+    }
+
+    /**
+     * Group the orders into the parts of a split export. Split by vendor, an order's lines go to the part of
+     * their vendor and each part of the order has its own total; by delivery date or dispatch location whole
+     * orders are grouped. An order in several parts gets a -1, -2... suffix on its ID so each part imports on its own
+     * @param {string} splitBy - A key of ExportManager.SPLIT_OPTIONS
+     * @returns {Array} [{ key, entries: [{ order, orderIndex }] }] - a single part with key '' when not split,
+     *                  otherwise sorted by key (delivery dates by date)
+     */
+    splitOrders(orders, splitBy = 'none') {
+        const parts = new Map();
+        const addEntry = (key, order, orderIndex) => {
+            if (!parts.has(key)) parts.set(key, { key: key, entries: [] });
+            parts.get(key).entries.push({ order: order, orderIndex: orderIndex });
+        };
+        
+        orders.forEach((order, orderIndex) => {
+            if (splitBy !== 'vendor') {
+                addEntry(this.getSplitKey(order, splitBy), order, orderIndex);
+                return;
+            }
+            
+            const byVendor = new Map();
+            order.products.forEach(product => {
+                const vendor = this.firebaseConfig.getVendorForProduct(product.productCode, order.customerCode);
+                if (!byVendor.has(vendor)) byVendor.set(vendor, []);
+                byVendor.get(vendor).push(product);
+            });
+            
+            if (byVendor.size <= 1) {
+                addEntry(byVendor.size === 1 ? [...byVendor.keys()][0] : this.firebaseConfig.getVendorForProduct('', order.customerCode), order, orderIndex);
+                return;
+            }
+            
+            [...byVendor.keys()].sort().forEach((vendor, partIndex) => {
+                const products = byVendor.get(vendor);
+                addEntry(vendor, {
+                    ...order,
+                    exportId: `${order.exportId}-${partIndex + 1}`,
+                    products: products,
+                    total: Math.round(products.reduce((sum, product) => sum + product.netPrice, 0) * 100) / 100
+                }, orderIndex);
+            });
+        });
+        
+        const sortKey = key => /^\d{2}\/\d{2}\/\d{4}$/.test(key) ? key.split('/').reverse().join('') : key;
+        return [...parts.values()].sort((a, b) => sortKey(a.key).localeCompare(sortKey(b.key)));
+    }
+
+    /**
+     * The part a whole order goes to when the export is split by delivery date or dispatch location
+     */
+    getSplitKey(order, splitBy) {
+        if (splitBy === 'deliveryDate') return order.deliveryDate || 'No delivery date';
+        if (splitBy === 'location') return this.firebaseConfig.getDispatchLocation(order.customerCode);
+        return '';
+    }
+
+    /**
+     * The number of rows an order writes - mixed-policy products write two
+     */
+    countExportLines(order) {
+        return order.products.reduce((sum, product) => sum + this.conversionEngine.getExportLines(product).length, 0);
+    }
+
+    /**
+     * The orders to export again for a history record - one per part when the order was split across files
+     * (see splitOrders), so each part is written with the ID and the lines Freshware received it with
+     */
+    buildOrdersFromHistory(record) {
+        const parts = (record.exportParts || []).filter(part => part.exportId && Array.isArray(part.lineIndexes));
+        if (parts.length === 0) {
+            return [this.buildOrderFromHistory(record)];
+        }
+        
+        return parts.map(part => this.buildOrderFromHistory(record, part));
+    }
+
+    /**
+     * An order to export again, with one product per row exported the first time - each keeps the SKU it was
+     * exported with, whatever the conversions are now, and the order keeps its export ID
+     * @param {Object} part - One of the record's exportParts - only its lines, under its ID and total
+     */
+    buildOrderFromHistory(record, part = null) {
+        // Records saved before IDs were kept get the ID their batch (or history record) gives them
+        const exportId = part ? part.exportId : record.exportId || ExportManager.buildExportId(
+            record.exportBatch ? record.exportBatch.id : `HIST-${record.id}`,
+            record.customerCode,
+            record.purchaseOrderNumber || record.originalFileName
+        );
+        const lineItems = part ? part.lineIndexes.map(index => record.lineItems[index]).filter(item => item) : record.lineItems;
+        
+        return {
+            exportId: exportId,
+            poNumber: record.purchaseOrderNumber || '',
+            customerCode: record.customerCode || '',
+            customerName: record.customerName || '',
+            orderDate: record.orderDate || '',
+            deliveryDate: record.deliveryDate || '',
+            deliveryAddress: record.deliveryAddress || null,
+            type: record.orderType || '',
+            filename: record.originalFileName || '',
+            total: part
+                ? Math.round(lineItems.reduce((sum, item) => sum + (item.netPrice || 0), 0) * 100) / 100
+                : record.totalValue || 0,
+            products: lineItems.reduce((rows, item) => {
+                const exported = item.exported && item.exported.length > 0 ? item.exported : [item];
+                return rows.concat(exported.map(line => ({
+                    productCode: item.productCode,
+                    description: line.description || item.description || '',
+                    quantity: line.quantity,
+                    unitPrice: line.unitPrice,
+                    netPrice: line.netPrice,
+                    exportedSku: line.sku || item.sku
+                })));
+            }, [])
         };
     }
 
@@ -99,154 +397,387 @@ class ExportManager {
     }
 
     /**
-     * Show conversion warnings and get user confirmation
+     * Customers with no customer master record - their orders export with placeholder addresses
+     */
+    getMissingCustomers(orders) {
+        const missing = new Map();
+        orders.forEach(order => {
+            if (!this.firebaseConfig.getCustomer(order.customerCode) && !missing.has(order.customerCode)) {
+                missing.set(order.customerCode, { customerCode: order.customerCode, customerName: order.customerName, filename: order.filename });
+            }
+        });
+        return Array.from(missing.values());
+    }
+
+    /**
+     * Lines with a price mismatch the reviewer hasn't accepted or overridden
+     */
+    getUndecidedPrices(orders) {
+        if (!this.priceListEngine) return [];
+        
+        const undecided = [];
+        orders.forEach(order => {
+            this.priceListEngine.getUndecidedPriceMismatches(order).forEach(product => {
+                undecided.push({
+                    productCode: product.productCode,
+                    filename: order.filename,
+                    warning: this.priceListEngine.describePriceCheck(product)
+                });
+            });
+        });
+        
+        return undecided;
+    }
+
+    /**
+     * Format undecided price mismatches error message
+     */
+    formatUndecidedPricesError(undecidedPrices) {
+        let message = `❌ Cannot export! ${undecidedPrices.length} price${undecidedPrices.length !== 1 ? 's' : ''} differ from the customer's price list:\n\n`;
+        
+        undecidedPrices.forEach(item => {
+            message += `• ${item.productCode}: ${item.warning} - from ${item.filename}\n`;
+        });
+        
+        message += '\nChoose "Accept PO price" or "Use list price" on each line, then export again.\n\n';
+        message += 'Export cancelled - no file was created.';
+        
+        return message;
+    }
+
+    /**
+     * Format blocked conversions error message
      */
-    async showConversionWarnings(warnings) {
-        let warningMessage = `⚠️ Warning: ${warnings.length} product(s) have decimal quantities that may cause rounding issues in Freshware:\n\n`;
+    formatBlockedLinesError(blockedLines) {
+        let message = `❌ Cannot export! ${blockedLines.length} line${blockedLines.length !== 1 ? 's' : ''} blocked by a rounding policy:\n\n`;
         
-        warnings.slice(0, 5).forEach(warning => {
-            warningMessage += `• ${warning.productCode} (${warning.quantity}kg) in ${warning.filename}\n`;
+        blockedLines.forEach(item => {
+            message += `• ${item.warning.replace(/^⛔ /, '')} - from ${item.filename}\n`;
         });
         
-        if (warnings.length > 5) {
-            warningMessage += `• ... and ${warnings.length - 5} more\n`;
+        message += '\n🔧 Correct the quantities on these orders, or change the rounding policy in "Manage Settings" → "Product Conversions".\n\n';
+        message += 'Export cancelled - no file was created.';
+        
+        return message;
+    }
+
+    /**
+     * Conversion and arithmetic warnings, and customers exported without a master record, for the preview
+     * @returns {Array} [{ title, items, hint }]
+     */
+    getExportWarnings(orders) {
+        const groups = [];
+        
+        const warnings = this.conversionEngine.getConversionWarnings(orders);
+        if (warnings.length > 0) {
+            groups.push({
+                title: `⚠️ ${warnings.length} product(s) have decimal quantities that may cause rounding issues in Freshware`,
+                items: warnings.map(warning => `${warning.productCode} (${this.conversionEngine.formatQuantity(warning.quantity, warning.unit)}) in ${warning.filename}`),
+                hint: 'Add conversion settings for these products in "Manage Settings" → "Product Conversions", then re-upload the PDFs.'
+            });
+        }
+        
+        const reconciliationWarnings = this.reconciliationEngine
+            ? this.reconciliationEngine.getReconciliationWarnings(orders)
+            : [];
+        if (reconciliationWarnings.length > 0) {
+            groups.push({
+                title: `🧮 ${reconciliationWarnings.length} arithmetic discrepanc${reconciliationWarnings.length !== 1 ? 'ies' : 'y'} against the PDFs`,
+                items: reconciliationWarnings.map(warning => `${warning.productCode ? `${warning.productCode}: ` : 'Order total: '}${warning.warning} in ${warning.filename}`),
+                hint: ''
+            });
         }
         
-        warningMessage += '\n💡 To fix these issues:\n';
-        warningMessage += '1. Go to "Manage Settings" → "Product Conversions"\n';
-        warningMessage += '2. Add conversion settings for these products\n';
-        warningMessage += '3. Re-upload the PDFs to apply conversions\n\n';
-        warningMessage += 'Continue with export anyway?';
+        const missingCustomers = this.getMissingCustomers(orders);
+        if (missingCustomers.length > 0) {
+            groups.push({
+                title: `🏢 ${missingCustomers.length} customer(s) not in the customer master - placeholder addresses will be exported`,
+                items: missingCustomers.map(missing => `${missing.customerCode} (${missing.customerName}) - from ${missing.filename}`),
+                hint: 'Add them in "Manage Settings" → "Customers".'
+            });
+        }
         
-        return confirm(warningMessage);
+        return groups;
     }
 
     /**
-     * Generate Excel workbook in Freshware format
+     * The rows the export will write, grouped by order within each part of a split export, with the cells that look wrong
+     * @param {Array} parts - From splitOrders
+     * @returns {Object} { headers, warnings, orderCount, split, orders: [{ orderIndex, part, label, filename, rows: [{ cells, issues }],
+     *                   issueCount, blocking }] } - issues maps a column index to { message, blocking }
      */
-    async generateWorkbook(orders) {
+    async buildPreview(orders, parts, profile, split = { by: 'none', output: 'files' }) {
+        const preview = {
+            headers: ExportProfile.buildHeaders(profile),
+            warnings: this.getExportWarnings(orders),
+            orderCount: orders.length,
+            split: split.by !== 'none' ? { label: ExportManager.SPLIT_OPTIONS[split.by], output: split.output } : null,
+            orders: []
+        };
+        
+        const entries = parts.reduce((all, part) => all.concat(part.entries.map(entry => ({ ...entry, part: part.key }))), []);
+        for (const { order, orderIndex, part } of entries) {
+            const rows = (await this.buildOrderRows(order, profile)).map(row => ({
+                cells: row.cells,
+                issues: this.findCellIssues(profile, row, order)
+            }));
+            const issues = rows.reduce((all, row) => all.concat(Object.values(row.issues)), []);
+            
+            preview.orders.push({
+                orderIndex: orderIndex,
+                part: part,
+                label: `${order.poNumber || order.filename} - ${order.customerName} (${order.customerCode})`,
+                filename: order.filename,
+                rows: rows,
+                issueCount: issues.length,
+                blocking: issues.some(issue => issue.blocking)
+            });
+        }
+        
+        return preview;
+    }
+
+    /**
+     * Cells worth a second look: no customer email (Freshware rejects the order), £0 prices, decimal
+     * quantities exported by the kilo and placeholder addresses
+     * @returns {Object} Column index → { message, blocking }
+     */
+    findCellIssues(profile, row, order) {
+        const issues = {};
+        const addresses = this.getOrderAddresses(order);
+        const kiloDecimal = !Number.isInteger(Number(row.product.quantity)) && this.conversionEngine.getSKUSuffix(row.product) === 'K' && !row.product.exportedSku;
+        
+        profile.columns.forEach((column, index) => {
+            const cell = row.cells[index];
+            const source = column.source || '';
+            if (column.scope === 'order' && !row.firstLine) return;
+            
+            if (source === 'customer.email' && !cell) {
+                issues[index] = { message: 'No email for this customer - add it in "Manage Settings" or exclude the order', blocking: true };
+            } else if ((source === 'line.unitPrice' || source === 'line.netPrice') && Number(cell) === 0) {
+                issues[index] = { message: '£0 price', blocking: false };
+            } else if ((source === 'line.quantity' || source === 'line.sku') && kiloDecimal) {
+                issues[index] = { message: 'Decimal quantity exported by the kilo (K) - check the product conversion', blocking: false };
+            } else if (cell && ((source.startsWith('billing.') && addresses.billing === ExportManager.PLACEHOLDER_ADDRESS) ||
+                (source.startsWith('shipping.') && addresses.shipping === ExportManager.PLACEHOLDER_ADDRESS)) && !/\.(name|country)$/.test(source)) {
+                issues[index] = { message: 'Placeholder address - customer not in the customer master', blocking: false };
+            }
+        });
+        
+        return issues;
+    }
+
+    /**
+     * Generate Excel workbook in an export profile's format
+     */
+    async generateWorkbook(orders, profile = ExportProfile.FRESHWARE) {
         const wb = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(wb, await this.buildWorksheet(orders, profile), profile.sheetName || "Orders");
+        
+        return wb;
+    }
+
+    /**
+     * The header row and the orders' rows as a worksheet
+     */
+    async buildWorksheet(orders, profile) {
         const wsData = [];
         
-        // Add header row (Freshware format)
-        const headers = [
-            "Name", "Email", "Financial Status", "Paid at", "Fulfillment Status", "Fulfilled at",
-            "Accepts Marketing", "Currency", "Subtotal", "Shipping", "Taxes", "Total", 
-            "Discount Code", "Discount Amount", "Shipping Method", "Created at", 
-            "Lineitem quantity", "Lineitem name", "Lineitem price", "Lineitem compare at price",
-            "Lineitem sku", "Lineitem requires shipping", "Lineitem taxable", "Lineitem fulfillment status",
-            "Billing Name", "Billing Street", "Billing Address1", "Billing Address2", "Billing Company",
-            "Billing City", "Billing Zip", "Billing Province", "Billing Country", "Billing Phone",
-            "Shipping Name", "Shipping Street", "Shipping Address1", "Shipping Address2", "Shipping Company",
-            "Shipping City", "Shipping Zip", "Shipping Province", "Shipping Country", "Shipping Phone",
-            "Notes", "Note Attributes", "Cancelled at", "Payment Method", "Payment Reference",
-            "Refunded Amount", "Vendor", "Outstanding Balance", "Employee", "Location", "Device ID",
-            "Id", "Tags", "Risk Level", "Source", "Lineitem discount", "Tax 1 Name", "Tax 1 Value",
-            "Tax 2 Name", "Tax 2 Value", "Tax 3 Name", "Tax 3 Value", "Tax 4 Name", "Tax 4 Value",
-            "Tax 5 Name", "Tax 5 Value", "Phone", "Receipt Number", "Duties", "Billing Province Name",
-            "Shipping Province Name", "Payment ID", "Payment Terms Name", "Next Payment Due At", "Payment References"
-        ];
-        wsData.push(headers);
+        // Add header row
+        wsData.push(ExportProfile.buildHeaders(profile));
         
         // Add data rows
         for (const order of orders) {
-            const customerEmail = await this.firebaseConfig.getCustomerEmail(order.customerCode, order.customerName);
-            
-            for (let productIndex = 0; productIndex < order.products.length; productIndex++) {
-                const product = order.products[productIndex];
-                const row = await this.createProductRow(order, product, productIndex, customerEmail);
-                wsData.push(row);
-            }
+            (await this.buildOrderRows(order, profile)).forEach(row => wsData.push(row.cells));
         }
         
-        const ws = XLSX.utils.aoa_to_sheet(wsData);
-        XLSX.utils.book_append_sheet(wb, ws, "Orders");
+        return XLSX.utils.aoa_to_sheet(wsData);
+    }
+
+    /**
+     * An order's rows in the profile's columns - the same rows are previewed and written
+     * @returns {Array} [{ cells, product, firstLine }]
+     */
+    async buildOrderRows(order, profile) {
+        const customerEmail = await this.firebaseConfig.getCustomerEmail(order.customerCode, order.customerName);
+        const rows = [];
+        
+        // Mixed-policy products export as two lines, so number the rows rather than the products
+        const lines = order.products.reduce((all, product) => all.concat(this.conversionEngine.getExportLines(product)), []);
+        for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
+            rows.push({
+                cells: await this.createProductRow(order, lines[lineIndex], lineIndex, customerEmail, profile),
+                product: lines[lineIndex],
+                firstLine: lineIndex === 0
+            });
+        }
         
-        return wb;
+        return rows;
+    }
+
+    /**
+     * Create a single product row for the Excel export, in the profile's columns
+     */
+    async createProductRow(order, product, productIndex, customerEmail, profile) {
+        return ExportProfile.buildRow(profile, this.buildExportValues(order, product, customerEmail), productIndex === 0);
     }
 
     /**
-     * Create a single product row for the Excel export
+     * Every value an export profile column can use for one line (see ExportProfile.SOURCES)
      */
-    async createProductRow(order, product, productIndex, customerEmail) {
-        const row = new Array(79).fill("");
+    buildExportValues(order, product, customerEmail) {
+        const { customer, customerName, billing, shipping } = this.getOrderAddresses(order);
+        const name = `${customerName} (${order.customerCode})`;
         
-        // Column A (Name) = Purchase Order Number from PDF
-        row[0] = order.poNumber || `PO-${order.customerCode}-${order.orderDate}`;
-        row[1] = customerEmail; // Email from Firebase
+        return {
+            'order.name': order.poNumber || `PO-${order.customerCode}-${order.orderDate}`,
+            'order.exportId': order.exportId || '',
+            'order.poNumber': order.poNumber || '',
+            'order.customerCode': order.customerCode || '',
+            'order.customerName': customerName || '',
+            'order.orderDate': order.orderDate || '',
+            'order.deliveryDate': order.deliveryDate || '',
+            'order.total': order.total,
+            'order.location': this.firebaseConfig.getDispatchLocation(order.customerCode),
+            'customer.email': customerEmail,
+            'customer.phone': customer ? customer.phone || '' : '',
+            ...this.buildAddressValues('billing', name, billing),
+            ...this.buildAddressValues('shipping', name, shipping),
+            'line.productCode': product.productCode,
+            'line.sku': product.exportedSku || (product.productCode + this.conversionEngine.getSKUSuffix(product)), // As first exported, for re-exports
+            'line.description': product.description,
+            'line.quantity': product.quantity, // Converted if applicable
+            'line.unitPrice': product.unitPrice,
+            'line.netPrice': Math.round(product.quantity * product.unitPrice * 100) / 100,
+            'line.vendor': this.firebaseConfig.getVendorForProduct(product.productCode, order.customerCode)
+        };
+    }
+
+    /**
+     * Billing/Shipping info from the customer master - placeholders when the customer isn't in it
+     * @returns {Object} { customer, customerName, billing, shipping }
+     */
+    getOrderAddresses(order) {
+        const customer = this.firebaseConfig.getCustomer(order.customerCode);
+        const billing = (customer && customer.billingAddress) || ExportManager.PLACEHOLDER_ADDRESS;
         
-        // Order-level data ONLY on first line item
-        if (productIndex === 0) {
-            row[2] = "pending"; // Financial Status
-            row[4] = "fulfilled"; // Fulfillment Status
-            row[5] = `${order.deliveryDate.split('/').reverse().join('-')} 21:21:42 +0100`; // Fulfilled at
-            row[6] = "yes"; // Accepts Marketing
-            row[7] = "GBP"; // Currency
-            row[8] = order.total; // Subtotal
-            row[9] = 0; // Shipping
-            row[10] = 0; // Taxes
-            row[11] = order.total; // Total
-            row[14] = "FREE DELIVERY"; // Shipping Method
-            row[47] = "custom"; // Payment Method
-            row[49] = "0"; // Refunded Amount
-            row[51] = order.total; // Outstanding Balance
-            
-            // Billing/Shipping info - first row only
-            const customerName = this.firebaseConfig.customerMappings.get(order.customerCode) || order.customerName;
-            row[24] = `${customerName} (${order.customerCode})`; // Billing Name
-            row[25] = "Address Line 1"; // Billing Street
-            row[26] = "Address Line 1"; // Billing Address1
-            row[29] = "London"; // Billing City
-            row[30] = "SW1A 0AA"; // Billing Zip
-            row[31] = "ENG"; // Billing Province
-            row[32] = "GB"; // Billing Country
-            
-            // Shipping same as billing
-            row[34] = row[24]; // Shipping Name
-            row[35] = row[25]; // Shipping Street
-            row[36] = row[26]; // Shipping Address1
-            row[39] = row[29]; // Shipping City
-            row[40] = row[30]; // Shipping Zip
-            row[41] = "ENG"; // Shipping Province
-            row[42] = "GB"; // Shipping Country
+        return {
+            customer: customer,
+            customerName: (customer && customer.name) || this.firebaseConfig.customerMappings.get(order.customerCode) || order.customerName,
+            billing: billing,
+            shipping: customer ? customer.deliveryAddress || billing : order.deliveryAddress || billing
+        };
+    }
+
+    /**
+     * Address values for the billing or shipping columns
+     * @param {Object} address - { name, address1, address2, city, zip, country } - name is the company or site
+     */
+    buildAddressValues(prefix, name, address) {
+        return {
+            [`${prefix}.name`]: name,
+            [`${prefix}.street`]: [address.address1, address.address2].filter(line => line).join(', '),
+            [`${prefix}.address1`]: address.address1 || '',
+            [`${prefix}.address2`]: address.address2 || '',
+            [`${prefix}.company`]: address.name || '',
+            [`${prefix}.city`]: address.city || '',
+            [`${prefix}.zip`]: address.zip || '',
+            [`${prefix}.country`]: address.country || 'GB'
+        };
+    }
+
+    /**
+     * Every product line of an order for history: the rows exported for it (two for mixed-policy lines),
+     * its conversion and price decisions, the line as parsed and what the reviewer changed
+     */
+    buildHistoryLineItems(order) {
+        const lineItems = order.products.map(product => {
+            const parsed = product.parsed || null;
             
-            // Delivery date in Note Attributes ONLY on first row
-            row[45] = `mw-delivery-date: ${order.deliveryDate.split('/').reverse().join('-')}`;
-        } else {
-            // Leave order-level fields BLANK for additional line items
-            row[44] = ""; // Notes
-            row[45] = ""; // Note Attributes - BLANK on additional rows
-        }
-        
-        // Line item data - appears on ALL rows
-        row[15] = `${order.orderDate.split('/').reverse().join('-')} 20:29:32 +0100`; // Created at
-        row[16] = product.quantity; // Lineitem quantity (converted if applicable)
-        row[17] = product.description; // Lineitem name
-        row[18] = product.unitPrice; // Lineitem price
-        row[20] = product.productCode + this.conversionEngine.getSKUSuffix(product); // Lineitem SKU with suffix
-        row[21] = "TRUE"; // Lineitem requires shipping
-        row[22] = "FALSE"; // Lineitem taxable
-        row[23] = "fulfilled"; // Lineitem fulfillment status
+            return {
+                productCode: product.productCode,
+                description: product.description || '',
+                caseSize: product.caseSize || '',
+                originalQuantity: product.originalQuantity || product.quantity,
+                originalUnitPrice: product.originalUnitPrice || product.unitPrice,
+                quantity: product.quantity,
+                unitPrice: product.unitPrice,
+                netPrice: product.netPrice,
+                sku: product.productCode + this.conversionEngine.getSKUSuffix(product),
+                
+                // Same values as the line columns of the export (see buildExportValues)
+                exported: this.conversionEngine.getExportLines(product).map(line => ({
+                    sku: line.productCode + this.conversionEngine.getSKUSuffix(line),
+                    description: line.description || '',
+                    quantity: line.quantity,
+                    unitPrice: line.unitPrice,
+                    netPrice: Math.round(line.quantity * line.unitPrice * 100) / 100
+                })),
+                
+                conversionApplied: !!product.conversionApplied,
+                conversionNote: product.conversionNote || '',
+                hasWarning: !!product.hasWarning,
+                targetUnit: product.targetUnit || null,
+                conversionVersion: product.conversionVersion || null,
+                conversionCustomerCode: product.conversionCustomerCode || null,
+                priceSource: product.priceSource || null,
+                priceCheck: product.priceCheck || null,
+                
+                parsed: parsed,
+                edits: this.getLineEdits(product)
+            };
+        });
         
-        row[50] = this.firebaseConfig.getVendorForProduct(product.productCode); // Vendor
-        row[53] = "Unit 2 Horner House"; // Location
-        row[55] = `1.207${String(Math.floor(Math.random() * 100000)).padStart(5, '0')}E+13`; // Id
-        row[56] = "checkout-by-draft"; // Tags
-        row[57] = "Low"; // Risk Level
-        row[58] = "shopify_draft_order"; // Source
+        // Firestore rejects undefined values anywhere in a document
+        return JSON.parse(JSON.stringify(lineItems));
+    }
+
+    /**
+     * Fields the reviewer changed from the parsed line, and price decisions that moved it off the printed price
+     * @returns {Array} [{ field, from, to }]
+     */
+    getLineEdits(product) {
+        const parsed = product.parsed;
+        if (!parsed) return [];
+        
+        const current = {
+            productCode: product.productCode || '',
+            caseSize: product.caseSize || '',
+            quantity: product.originalQuantity || product.quantity
+        };
+        const edits = Object.keys(current)
+            .filter(field => current[field] !== parsed[field])
+            .map(field => ({ field: field, from: parsed[field], to: current[field] }));
         
-        // Province names
-        row[73] = "England"; // Billing Province Name
-        row[74] = "England"; // Shipping Province Name
+        if (product.priceCheck && product.priceCheck.decision === 'override') {
+            edits.push({ field: 'unitPrice', from: product.priceCheck.poPrice, to: product.priceCheck.listPrice });
+        }
         
-        return row;
+        return edits;
+    }
+
+    /**
+     * Format re-export success message
+     */
+    formatReExportMessage(result) {
+        return `🔁 Re-export created!\n\nFile: ${result.filename}\nOrders: ${result.orderCount}\nTotal Lines: ${result.productCount}\n\nThe file is marked as a re-export - check Freshware doesn't already have these orders before importing it.`;
     }
 
     /**
      * Format export success message
      */
     formatSuccessMessage(result) {
-        let message = `✅ Export successful!\n\nFile: ${result.filename}\nApproved Orders: ${result.orderCount}\nTotal Products: ${result.productCount}`;
+        let message = `✅ Export successful!\n\nFile: ${result.filename}\nProfile: ${result.profileName}`;
+        
+        if (result.split) {
+            const unit = result.split.output === 'sheets' ? 'sheet' : 'file';
+            message += `\nSplit: ${ExportManager.SPLIT_OPTIONS[result.split.by]} - ${result.split.parts.length} ${unit}${result.split.parts.length !== 1 ? 's' : ''}`;
+            result.split.parts.forEach(part => {
+                message += `\n  • ${part.file} (${part.orderCount} order${part.orderCount !== 1 ? 's' : ''})`;
+            });
+        }
+        
+        message += `\nBatch: ${result.batchId}\nApproved Orders: ${result.orderCount}${result.excludedCount > 0 ? ` (${result.excludedCount} left out - still approved)` : ''}\nTotal Products: ${result.productCount}`;
         
         const summary = result.conversionSummary;
         if (summary.totalConverted > 0) {
@@ -308,5 +839,45 @@ class ExportManager {
     }
 }
 
+/**
+ * An order's ID in an export - the batch ID, then the customer code and reference in letters and numbers only
+ */
+ExportManager.buildExportId = (batchId, customerCode, reference) =>
+    [customerCode || 'NOCUSTOMER', reference]
+        .map(part => String(part || '').toUpperCase().replace(/[^A-Z0-9]+/g, ''))
+        .reduce((id, part) => `${id}-${part}`, batchId);
+
+/**
+ * Ways an export can be split into several files (or sheets) - see splitOrders
+ */
+ExportManager.SPLIT_OPTIONS = {
+    none: 'One file',
+    vendor: 'Per vendor',
+    deliveryDate: 'Per delivery date',
+    location: 'Per dispatch location'
+};
+
+/**
+ * A part's name in its file name, e.g. 14-03-2025 or Unit-2-Horner-House
+ */
+ExportManager.buildPartSlug = (key) => String(key).replace(/[^A-Za-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'part';
+
+/**
+ * A part's sheet name - Excel allows 31 characters and no : \ / ? * [ ]; a name already used gets a (2), (3)...
+ */
+ExportManager.buildSheetName = (key, used) => {
+    const base = String(key).replace(/[:\\/?*[\]]+/g, '-').slice(0, 27) || 'Orders';
+    let name = base;
+    for (let copy = 2; used.has(name); copy++) {
+        name = `${base} (${copy})`;
+    }
+    return name;
+};
+
+/**
+ * Address exported for customers with no customer master record
+ */
+ExportManager.PLACEHOLDER_ADDRESS = { name: '', address1: 'Address Line 1', address2: '', city: 'London', zip: 'SW1A 0AA', country: 'GB' };
+
 // Export for use in other modules
 window.ExportManager = ExportManager;
\ No newline at end of file
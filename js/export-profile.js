@@ -0,0 +1,278 @@
+/**
+ * Export Profile Module
+ * Builds export rows from profiles stored in Firestore (column headers, the order field or
+ * constant for each column, date formats) so a change to the Freshware format or a second
+ * location needs no code change
+ */
+
+class ExportProfile {
+    /**
+     * Check a profile before it is saved or used
+     * @returns {Array} Error messages - empty when the profile is usable
+     */
+    static validate(profile) {
+        const errors = [];
+
+        if (!profile || !profile.profileId || !/^[a-z0-9-]+$/.test(profile.profileId)) {
+            errors.push('Profile ID must use lowercase letters, numbers and dashes only');
+        }
+        if (!profile || !profile.name) {
+            errors.push('Profile name is required');
+        }
+        if (!profile || !Array.isArray(profile.columns) || profile.columns.length === 0) {
+            errors.push('At least one column is required');
+        }
+
+        ((profile && profile.columns) || []).forEach((column, index) => {
+            const label = `Column ${index + 1}${column && column.header ? ` (${column.header})` : ''}`;
+            if (!column || !column.header) {
+                errors.push(`${label}: header is required`);
+            }
+            if (column && column.source && !ExportProfile.SOURCES[column.source]) {
+                errors.push(`${label}: unknown source "${column.source}"`);
+            }
+            if (column && column.scope && !['order', 'line'].includes(column.scope)) {
+                errors.push(`${label}: scope must be "order" or "line"`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * The header row
+     */
+    static buildHeaders(profile) {
+        return profile.columns.map(column => column.header);
+    }
+
+    /**
+     * One export row. Order-scope columns are filled on the first line of each order only
+     * @param {Object} values - Source values for the line (see ExportManager.buildExportValues)
+     * @param {boolean} firstLine - Whether this is the order's first line
+     */
+    static buildRow(profile, values, firstLine) {
+        return profile.columns.map(column => {
+            if (column.scope === 'order' && !firstLine) return '';
+            return ExportProfile.resolveValue(column, values);
+        });
+    }
+
+    /**
+     * A column's value: its source field (dates in the column's format) or its constant
+     */
+    static resolveValue(column, values) {
+        if (!column.source) {
+            return column.value !== undefined ? column.value : '';
+        }
+
+        const value = values[column.source];
+        if (value === undefined || value === null) return '';
+        if (column.format && /^\d{2}\/\d{2}\/\d{4}$/.test(value)) {
+            return ExportProfile.formatDate(value, column.format);
+        }
+        return value;
+    }
+
+    /**
+     * Write a DD/MM/YYYY date in a format - YYYY, YY, MM and DD are replaced, text in [brackets]
+     * is written as it is, e.g. "YYYY-MM-DD [21:21:42 +0100]"
+     */
+    static formatDate(date, format) {
+        const [day, month, year] = date.split('/');
+        const tokens = { YYYY: year, YY: year.slice(-2), MM: month, DD: day };
+
+        return format.replace(/\[([^\]]*)\]|YYYY|YY|MM|DD/g, (token, literal) => literal !== undefined ? literal : tokens[token]);
+    }
+
+    /**
+     * Read columns written one per line on the settings page:
+     * Header | source or "constant" | order or line | date format
+     * Only the header is required; a bare number is a numeric constant
+     * @returns {Array} Columns
+     */
+    static parseColumns(text) {
+        return text.split('\n').map(line => line.trim()).filter(line => line).map((line, index) => {
+            const [header = '', content = '', scope = '', format = ''] = line.split('|').map(part => part.trim());
+            const column = { header: header };
+
+            if (/^".*"$/.test(content)) {
+                column.value = content.slice(1, -1);
+            } else if (/^-?\d+(\.\d+)?$/.test(content)) {
+                column.value = Number(content);
+            } else if (content) {
+                if (!ExportProfile.SOURCES[content]) {
+                    throw new Error(`Line ${index + 1}: unknown source "${content}" - put constants in "quotes"`);
+                }
+                column.source = content;
+            }
+
+            if (scope) {
+                if (!['order', 'line'].includes(scope.toLowerCase())) {
+                    throw new Error(`Line ${index + 1}: scope must be "order" or "line"`);
+                }
+                column.scope = scope.toLowerCase();
+            }
+            if (format) column.format = format;
+
+            return column;
+        });
+    }
+
+    /**
+     * Write columns one per line, as parseColumns reads them
+     */
+    static formatColumns(columns) {
+        return columns.map(column => {
+            const content = column.source || (typeof column.value === 'number' ? String(column.value)
+                : column.value !== undefined && column.value !== '' ? `"${column.value}"` : '');
+            return [column.header, content, column.scope || '', column.format || '']
+                .join(' | ')
+                .replace(/(\s\|\s*)+$/, '');
+        }).join('\n');
+    }
+
+    /**
+     * The file name for an export, e.g. freshware_orders_2025-03-14.xlsx
+     */
+    static buildFilename(profile, suffix) {
+        return `${profile.filenamePrefix || ExportProfile.FRESHWARE.filenamePrefix}_${suffix}.xlsx`;
+    }
+}
+
+/**
+ * Fields a column can take its value from
+ */
+ExportProfile.SOURCES = {
+    'order.name': 'PO number (or PO-customer-date when there is none)',
+    'order.poNumber': 'PO number',
+    'order.customerCode': 'Customer code',
+    'order.customerName': 'Customer name',
+    'order.orderDate': 'Order date',
+    'order.deliveryDate': 'Delivery date',
+    'order.total': 'Order total',
+    'order.exportId': 'Order ID (same on every line of the order, and on re-exports)',
+    'order.location': 'Dispatch location (from the customer master)',
+    'customer.email': 'Customer email',
+    'customer.phone': 'Customer phone',
+    'billing.name': 'Billing name',
+    'billing.street': 'Billing street (both address lines)',
+    'billing.address1': 'Billing address line 1',
+    'billing.address2': 'Billing address line 2',
+    'billing.company': 'Billing company',
+    'billing.city': 'Billing town / city',
+    'billing.zip': 'Billing postcode',
+    'billing.country': 'Billing country',
+    'shipping.name': 'Shipping name',
+    'shipping.street': 'Shipping street (both address lines)',
+    'shipping.address1': 'Shipping address line 1',
+    'shipping.address2': 'Shipping address line 2',
+    'shipping.company': 'Shipping company / site',
+    'shipping.city': 'Shipping town / city',
+    'shipping.zip': 'Shipping postcode',
+    'shipping.country': 'Shipping country',
+    'line.productCode': 'Product code',
+    'line.sku': 'SKU (with unit suffix)',
+    'line.description': 'Description',
+    'line.quantity': 'Quantity (converted)',
+    'line.unitPrice': 'Unit price',
+    'line.netPrice': 'Line net price',
+    'line.vendor': 'Vendor'
+};
+
+ExportProfile.DEFAULT_PROFILE_ID = 'freshware';
+
+/**
+ * The Freshware order import format - used when no profile is chosen, and as the starting
+ * point for new profiles on the settings page
+ */
+ExportProfile.FRESHWARE = {
+    profileId: 'freshware',
+    name: 'Freshware',
+    filenamePrefix: 'freshware_orders',
+    sheetName: 'Orders',
+    columns: [
+        { header: 'Name', source: 'order.name', scope: 'line' },
+        { header: 'Email', source: 'customer.email', scope: 'line' },
+        { header: 'Financial Status', value: 'pending', scope: 'order' },
+        { header: 'Paid at' },
+        { header: 'Fulfillment Status', value: 'fulfilled', scope: 'order' },
+        { header: 'Fulfilled at', source: 'order.deliveryDate', format: 'YYYY-MM-DD [21:21:42 +0100]', scope: 'order' },
+        { header: 'Accepts Marketing', value: 'yes', scope: 'order' },
+        { header: 'Currency', value: 'GBP', scope: 'order' },
+        { header: 'Subtotal', source: 'order.total', scope: 'order' },
+        { header: 'Shipping', value: 0, scope: 'order' },
+        { header: 'Taxes', value: 0, scope: 'order' },
+        { header: 'Total', source: 'order.total', scope: 'order' },
+        { header: 'Discount Code' },
+        { header: 'Discount Amount' },
+        { header: 'Shipping Method', value: 'FREE DELIVERY', scope: 'order' },
+        { header: 'Created at', source: 'order.orderDate', format: 'YYYY-MM-DD [20:29:32 +0100]', scope: 'line' },
+        { header: 'Lineitem quantity', source: 'line.quantity', scope: 'line' },
+        { header: 'Lineitem name', source: 'line.description', scope: 'line' },
+        { header: 'Lineitem price', source: 'line.unitPrice', scope: 'line' },
+        { header: 'Lineitem compare at price' },
+        { header: 'Lineitem sku', source: 'line.sku', scope: 'line' },
+        { header: 'Lineitem requires shipping', value: 'TRUE', scope: 'line' },
+        { header: 'Lineitem taxable', value: 'FALSE', scope: 'line' },
+        { header: 'Lineitem fulfillment status', value: 'fulfilled', scope: 'line' },
+        { header: 'Billing Name', source: 'billing.name', scope: 'order' },
+        { header: 'Billing Street', source: 'billing.street', scope: 'order' },
+        { header: 'Billing Address1', source: 'billing.address1', scope: 'order' },
+        { header: 'Billing Address2', source: 'billing.address2', scope: 'order' },
+        { header: 'Billing Company', source: 'billing.company', scope: 'order' },
+        { header: 'Billing City', source: 'billing.city', scope: 'order' },
+        { header: 'Billing Zip', source: 'billing.zip', scope: 'order' },
+        { header: 'Billing Province', value: 'ENG', scope: 'order' },
+        { header: 'Billing Country', source: 'billing.country', scope: 'order' },
+        { header: 'Billing Phone', source: 'customer.phone', scope: 'order' },
+        { header: 'Shipping Name', source: 'shipping.name', scope: 'order' },
+        { header: 'Shipping Street', source: 'shipping.street', scope: 'order' },
+        { header: 'Shipping Address1', source: 'shipping.address1', scope: 'order' },
+        { header: 'Shipping Address2', source: 'shipping.address2', scope: 'order' },
+        { header: 'Shipping Company', source: 'shipping.company', scope: 'order' },
+        { header: 'Shipping City', source: 'shipping.city', scope: 'order' },
+        { header: 'Shipping Zip', source: 'shipping.zip', scope: 'order' },
+        { header: 'Shipping Province', value: 'ENG', scope: 'order' },
+        { header: 'Shipping Country', source: 'shipping.country', scope: 'order' },
+        { header: 'Shipping Phone', source: 'customer.phone', scope: 'order' },
+        { header: 'Notes' },
+        { header: 'Note Attributes', source: 'order.deliveryDate', format: '[mw-delivery-date: ]YYYY-MM-DD', scope: 'order' },
+        { header: 'Cancelled at' },
+        { header: 'Payment Method', value: 'custom', scope: 'order' },
+        { header: 'Payment Reference' },
+        { header: 'Refunded Amount', value: '0', scope: 'order' },
+        { header: 'Vendor', source: 'line.vendor', scope: 'line' },
+        { header: 'Outstanding Balance', source: 'order.total', scope: 'order' },
+        { header: 'Employee' },
+        { header: 'Location', source: 'order.location', scope: 'line' },
+        { header: 'Device ID' },
+        { header: 'Id', source: 'order.exportId', scope: 'line' },
+        { header: 'Tags', value: 'checkout-by-draft', scope: 'line' },
+        { header: 'Risk Level', value: 'Low', scope: 'line' },
+        { header: 'Source', value: 'shopify_draft_order', scope: 'line' },
+        { header: 'Lineitem discount' },
+        { header: 'Tax 1 Name' },
+        { header: 'Tax 1 Value' },
+        { header: 'Tax 2 Name' },
+        { header: 'Tax 2 Value' },
+        { header: 'Tax 3 Name' },
+        { header: 'Tax 3 Value' },
+        { header: 'Tax 4 Name' },
+        { header: 'Tax 4 Value' },
+        { header: 'Tax 5 Name' },
+        { header: 'Tax 5 Value' },
+        { header: 'Phone' },
+        { header: 'Receipt Number' },
+        { header: 'Duties' },
+        { header: 'Billing Province Name', value: 'England', scope: 'line' },
+        { header: 'Shipping Province Name', value: 'England', scope: 'line' },
+        { header: 'Payment ID' },
+        { header: 'Payment Terms Name' },
+        { header: 'Next Payment Due At' },
+        { header: 'Payment References' }
+    ]
+};
+
+// Export for use in other modules
+window.ExportProfile = ExportProfile;
@@ -0,0 +1,288 @@
+/**
+ * Layout Engine Module
+ * Rebuilds rows and columns from the positioned text items pdf.js provides,
+ * so template parsers get real table cells instead of space-joined text
+ */
+
+class LayoutEngine {
+    constructor(options = {}) {
+        this.columnDefinitions = options.columnDefinitions || LayoutEngine.DEFAULT_COLUMNS;
+        this.minHeaderMatches = options.minHeaderMatches || 3;
+        this.tableEndPattern = options.tableEndPattern || LayoutEngine.TABLE_END_PATTERN;
+    }
+
+    /**
+     * Convert pdf.js text items into positioned items
+     * Coordinates are PDF user space (origin bottom-left, y grows upwards)
+     */
+    normalizeItems(items, pageNumber) {
+        return items
+            .filter(item => item.str && item.str.trim() !== '')
+            .map(item => {
+                const height = Math.abs(item.height || item.transform[3]) || 10;
+                return {
+                    str: item.str.trim(),
+                    x: item.transform[4],
+                    y: item.transform[5],
+                    width: item.width || item.str.length * height * 0.5,
+                    height: height,
+                    pageNumber: pageNumber
+                };
+            });
+    }
+
+    /**
+     * Group items into rows by y-position, top of the page first
+     */
+    groupIntoRows(items) {
+        const sorted = [...items].sort((a, b) => (b.y - a.y) || (a.x - b.x));
+        const rows = [];
+        let current = null;
+
+        sorted.forEach(item => {
+            const tolerance = Math.max(2, Math.min(item.height * 0.5, 5));
+
+            if (current && Math.abs(current.y - item.y) <= tolerance) {
+                current.items.push(item);
+            } else {
+                current = { pageNumber: item.pageNumber, y: item.y, items: [item] };
+                rows.push(current);
+            }
+        });
+
+        rows.forEach(row => {
+            row.items.sort((a, b) => a.x - b.x);
+            row.cells = this.buildCells(row.items);
+            row.text = row.cells.map(cell => cell.text).join(' ');
+            
+            // Remember where each item sits in the row text so text matches can be mapped back to positions
+            let cellStart = 0;
+            row.cells.forEach(cell => {
+                cell.items.forEach(item => {
+                    item.textStart = cellStart + item.cellOffset;
+                });
+                cellStart += cell.text.length + 1;
+            });
+        });
+
+        return rows;
+    }
+
+    /**
+     * Merge items that sit next to each other into cells
+     * A gap wider than half the text height starts a new cell
+     */
+    buildCells(items) {
+        const cells = [];
+
+        items.forEach(item => {
+            const last = cells[cells.length - 1];
+            const gap = last ? item.x - last.right : Infinity;
+
+            if (last && gap < item.height * 0.5) {
+                last.text += gap > item.height * 0.15 ? ' ' : '';
+                item.cellOffset = last.text.length;
+                last.text += item.str;
+                last.right = Math.max(last.right, item.x + item.width);
+                last.items.push(item);
+            } else {
+                item.cellOffset = 0;
+                cells.push({
+                    text: item.str,
+                    x: item.x,
+                    right: item.x + item.width,
+                    items: [item]
+                });
+            }
+        });
+
+        return cells;
+    }
+
+    /**
+     * Bounding box of a set of items on one page, in PDF user space
+     * @returns {Object|null} { pageNumber, x, y, width, height } - y is the bottom edge
+     */
+    getBoundingBox(items) {
+        if (!items || items.length === 0) return null;
+        
+        const pageNumber = items[0].pageNumber;
+        const onPage = items.filter(item => item.pageNumber === pageNumber);
+        const left = Math.min(...onPage.map(item => item.x));
+        const right = Math.max(...onPage.map(item => item.x + item.width));
+        const bottom = Math.min(...onPage.map(item => item.y - item.height * 0.25));
+        const top = Math.max(...onPage.map(item => item.y + item.height));
+        
+        return { pageNumber, x: left, y: bottom, width: right - left, height: top - bottom };
+    }
+
+    /**
+     * Match a header cell against the known column labels
+     * @returns {string|null} Column key (quantity, description, code, pack, price, net)
+     */
+    matchColumnLabel(text) {
+        const normalized = LayoutEngine.normalizeLabel(text);
+        if (!normalized) return null;
+
+        for (const [key, labels] of Object.entries(this.columnDefinitions)) {
+            if (labels.includes(normalized)) {
+                return key;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Work out the column positions from a header row
+     * @returns {Array} Columns with key and x-extent, empty if this isn't a header row
+     */
+    matchHeaderRow(row) {
+        const columns = [];
+
+        row.cells.forEach(cell => {
+            const key = this.matchColumnLabel(cell.text);
+            if (key) {
+                columns.push({ key, x: cell.x, right: cell.right });
+                return;
+            }
+
+            // Header labels set close together can merge into one cell - try the items individually
+            cell.items.forEach(item => {
+                const itemKey = this.matchColumnLabel(item.str);
+                if (itemKey) {
+                    columns.push({ key: itemKey, x: item.x, right: item.x + item.width });
+                }
+            });
+        });
+
+        // One column per field - keep the left-most
+        return columns.filter((column, index) => columns.findIndex(c => c.key === column.key) === index);
+    }
+
+    /**
+     * Find the first header row at or after startIndex (optionally limited to one page)
+     */
+    findHeaderRow(rows, startIndex = 0, pageNumber = null) {
+        for (let i = startIndex; i < rows.length; i++) {
+            if (pageNumber !== null && rows[i].pageNumber !== pageNumber) break;
+
+            const columns = this.matchHeaderRow(rows[i]);
+            if (columns.length >= this.minHeaderMatches) {
+                return { index: i, columns };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Assign each item in a row to the column it overlaps most (nearest column if none)
+     * @returns {Object} Cell text keyed by column key
+     */
+    mapRowToCells(row, columns) {
+        const cells = {};
+
+        row.items.forEach(item => {
+            const column = this.findColumnForItem(item, columns);
+            if (!column) return;
+            cells[column.key] = cells[column.key] ? `${cells[column.key]} ${item.str}` : item.str;
+        });
+
+        return cells;
+    }
+
+    findColumnForItem(item, columns) {
+        const itemRight = item.x + item.width;
+        let best = null;
+        let bestOverlap = 0;
+
+        columns.forEach(column => {
+            const overlap = Math.min(itemRight, column.right) - Math.max(item.x, column.x);
+            if (overlap > bestOverlap) {
+                bestOverlap = overlap;
+                best = column;
+            }
+        });
+
+        if (best) return best;
+
+        // No overlap (e.g. right-aligned numbers under a short header) - use the nearest centre
+        const itemCentre = item.x + item.width / 2;
+        let bestDistance = Infinity;
+        columns.forEach(column => {
+            const distance = Math.abs(itemCentre - (column.x + column.right) / 2);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = column;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Extract the product table that follows the first header row
+     * Tables that continue over a page break are stitched: the next page's letterhead
+     * is skipped up to its repeated header row
+     * @returns {Object|null} { header, columns, rows: [{ row, cells }] } or null if no header was found
+     */
+    extractTable(rows) {
+        const header = this.findHeaderRow(rows);
+        if (!header) return null;
+
+        let columns = header.columns;
+        let pageNumber = rows[header.index].pageNumber;
+        const tableRows = [];
+
+        for (let i = header.index + 1; i < rows.length; i++) {
+            const row = rows[i];
+
+            if (row.pageNumber !== pageNumber) {
+                pageNumber = row.pageNumber;
+                const repeated = this.findHeaderRow(rows, i, pageNumber);
+                if (repeated) {
+                    columns = repeated.columns;
+                    i = repeated.index;
+                    continue;
+                }
+            }
+
+            // Repeated header on the same page
+            if (this.matchHeaderRow(row).length >= this.minHeaderMatches) continue;
+
+            if (this.tableEndPattern.test(row.text)) break;
+
+            tableRows.push({ row, cells: this.mapRowToCells(row, columns) });
+        }
+
+        console.log(`📐 Table found with columns [${header.columns.map(c => c.key).join(', ')}] and ${tableRows.length} rows`);
+
+        return { header: rows[header.index], columns, rows: tableRows };
+    }
+}
+
+/**
+ * Normalise a header label for comparison: lowercase letters and single spaces only
+ */
+LayoutEngine.normalizeLabel = (text) => String(text || '').toLowerCase().replace(/[^a-z ]/g, ' ').replace(/\s+/g, ' ').trim();
+
+/**
+ * Header labels recognised for each column (lowercase, punctuation stripped)
+ */
+LayoutEngine.DEFAULT_COLUMNS = {
+    quantity: ['qty', 'quantity', 'ordered', 'order qty', 'qty ordered', 'quantity ordered'],
+    description: ['description', 'product description', 'item description', 'product name', 'item'],
+    code: ['code', 'product code', 'item code', 'prod code', 'sku', 'product', 'ref'],
+    pack: ['pack', 'pack size', 'case', 'case size', 'size', 'uom'],
+    price: ['price', 'unit price', 'unit cost', 'cost', 'unit', 'price each'],
+    net: ['net', 'net price', 'net value', 'value', 'line total', 'amount', 'total']
+};
+
+/**
+ * Rows that end the product table
+ */
+LayoutEngine.TABLE_END_PATTERN = /^(?:(?:sub|net|grand|order)\s*-?\s*)?total\b|^(?:comments|notes|delivery (?:address|instructions|notes)|terms)\b/i;
+
+// Export for use in other modules
+window.LayoutEngine = LayoutEngine;
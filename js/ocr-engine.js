@@ -0,0 +1,132 @@
+/**
+ * OCR Engine Module
+ * Reads scanned / image-only PDF pages with Tesseract.js, loaded from the vendored
+ * assets in vendor/tesseract/ - nothing is fetched from the network
+ */
+
+class OCREngine {
+    constructor(options = {}) {
+        this.assetPath = options.assetPath || OCREngine.ASSET_PATH;
+        this.language = options.language || 'eng';
+        this.scale = options.scale || OCREngine.RENDER_SCALE;
+        this.worker = null;
+        this.libraryPromise = null;
+    }
+
+    /**
+     * Load the vendored Tesseract.js script once
+     */
+    loadLibrary() {
+        if (typeof Tesseract !== 'undefined') return Promise.resolve();
+
+        if (!this.libraryPromise) {
+            this.libraryPromise = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = `${this.assetPath}tesseract.min.js`;
+                script.onload = () => typeof Tesseract !== 'undefined'
+                    ? resolve()
+                    : reject(new Error(`OCR library not found in ${this.assetPath}`));
+                script.onerror = () => reject(new Error(`OCR library not found in ${this.assetPath}`));
+                document.head.appendChild(script);
+            }).catch(error => {
+                this.libraryPromise = null;
+                throw error;
+            });
+        }
+
+        return this.libraryPromise;
+    }
+
+    /**
+     * Create the OCR worker on first use and keep it for the rest of the session
+     */
+    async getWorker() {
+        if (this.worker) return this.worker;
+
+        await this.loadLibrary();
+        console.log(`🔠 Starting OCR worker (${this.language})...`);
+
+        this.worker = await Tesseract.createWorker(this.language, 1, {
+            workerPath: `${this.assetPath}worker.min.js`,
+            corePath: `${this.assetPath}core/`,
+            langPath: `${this.assetPath}lang/`,
+            workerBlobURL: false
+        });
+
+        return this.worker;
+    }
+
+    /**
+     * Check whether a page is a scanned image: no text layer but at least one image
+     */
+    async isImageOnlyPage(page, textContent) {
+        const text = textContent.items.map(item => item.str).join('').replace(/\s/g, '');
+        if (text.length >= OCREngine.MIN_TEXT_LENGTH) return false;
+
+        const operatorList = await page.getOperatorList();
+        const imageOps = [
+            pdfjsLib.OPS.paintImageXObject,
+            pdfjsLib.OPS.paintJpegXObject,
+            pdfjsLib.OPS.paintInlineImageXObject
+        ];
+
+        return operatorList.fnArray.some(fn => imageOps.includes(fn));
+    }
+
+    /**
+     * Recognise the words on a page
+     * @returns {Array} Text items shaped like pdf.js getTextContent() items (PDF user space),
+     *                  plus the OCR confidence (0-100) of each word
+     */
+    async recognizePage(page) {
+        const worker = await this.getWorker();
+
+        const viewport = page.getViewport({ scale: this.scale });
+        const canvas = document.createElement('canvas');
+        canvas.width = viewport.width;
+        canvas.height = viewport.height;
+
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport: viewport }).promise;
+
+        const { data } = await worker.recognize(canvas);
+        const pageHeight = viewport.height / this.scale;
+
+        return data.words
+            .filter(word => word.text.trim() !== '')
+            .map(word => {
+                const height = (word.bbox.y1 - word.bbox.y0) / this.scale;
+                return {
+                    str: word.text,
+                    transform: [height, 0, 0, height, word.bbox.x0 / this.scale, pageHeight - word.bbox.y1 / this.scale],
+                    width: (word.bbox.x1 - word.bbox.x0) / this.scale,
+                    height: height,
+                    ocrConfidence: word.confidence
+                };
+            });
+    }
+
+    async terminate() {
+        if (this.worker) {
+            await this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
+
+/**
+ * Where the vendored Tesseract.js files are served from (see vendor/tesseract/README.md)
+ */
+OCREngine.ASSET_PATH = 'vendor/tesseract/';
+
+/**
+ * Pages are rendered at this scale before recognition - 2x suits typical fax/scan resolution
+ */
+OCREngine.RENDER_SCALE = 2;
+
+/**
+ * Pages with fewer text characters than this are treated as having no text layer
+ */
+OCREngine.MIN_TEXT_LENGTH = 10;
+
+// Export for use in other modules
+window.OCREngine = OCREngine;
@@ -1,6 +1,8 @@
 /**
  * PDF Parser Module
  * Handles PDF processing for Standard, Consolidated, and Picking Note templates
+ * Product tables are read by position using the LayoutEngine
+ * Templates are chosen by scoring every entry in the TemplateRegistry
  * Contains the IMPROVED picking note parser that extracts 10+ products
  * NOW ENHANCED with Product Catalog Integration for full product descriptions
  */
@@ -9,6 +11,92 @@ class PDFParser {
     constructor() {
         this.productConversionsCache = new Map();
         this.firebaseConfig = null; // NEW: Reference to FirebaseConfig for product catalog
+        this.layoutEngine = new LayoutEngine();
+        this.ocrEngine = new OCREngine();
+        this.templateRegistry = new TemplateRegistry();
+        this.registerBuiltInTemplates();
+    }
+
+    /**
+     * Register the Standard, Consolidated and Picking Note templates
+     * Signal weights are tuned so each template's own title outweighs the shared labels
+     */
+    registerBuiltInTemplates() {
+        this.templateRegistry.register({
+            id: 'picking-note',
+            name: 'Picking Note',
+            pricesExpected: false, // Picking notes carry no prices
+            signals: [
+                { pattern: /Picking Note/i, weight: 60, description: '"Picking Note" title' },
+                { pattern: /Basket ID/i, weight: 25, description: 'Basket ID label' },
+                { pattern: /Customer ref/i, weight: 15, description: 'Customer ref label' },
+                { pattern: /\d{1,2}-[A-Za-z]{3}-\d{4}/, weight: 10, description: 'dd-Mon-yyyy dates' }
+            ],
+            parse: (layout, filename) => this.parsePickingNote(layout, filename)
+        });
+        
+        this.templateRegistry.register({
+            id: 'consolidated',
+            name: 'Consolidated',
+            signals: [
+                { pattern: /Consolidated Purchase Order/i, weight: 60, description: '"Consolidated Purchase Order" title' },
+                { pattern: /following outlets/i, weight: 25, description: 'Outlet list' },
+                { pattern: /PO Number:/i, weight: 10, description: 'PO Number label' },
+                { pattern: /Net Total/i, weight: 5, description: 'Net Total line' }
+            ],
+            parse: (layout, filename) => this.parseConsolidatedOrder(layout, filename)
+        });
+        
+        this.templateRegistry.register({
+            id: 'standard',
+            name: 'Standard',
+            signals: [
+                { pattern: /PO Number:/, weight: 30, description: 'PO Number label' },
+                { pattern: /Account No:/, weight: 25, description: 'Account No label' },
+                { pattern: /Deliver To/, weight: 20, description: 'Deliver To block' },
+                { pattern: /Order Date:/, weight: 10, description: 'Order Date label' },
+                { pattern: /Delivery Date:/, weight: 10, description: 'Delivery Date label' },
+                { test: layout => this.layoutEngine.findHeaderRow(layout.rows) !== null, weight: 15, description: 'Product table header' },
+                { pattern: /Consolidated Purchase Order/i, weight: -60, description: 'Consolidated title' },
+                { pattern: /Picking Note/i, weight: -60, description: 'Picking Note title' }
+            ],
+            parse: (layout, filename) => this.parseStandardOrder(layout, filename)
+        });
+    }
+
+    /**
+     * Register an additional order template (e.g. a new customer's format)
+     */
+    registerTemplate(template) {
+        this.templateRegistry.register(template);
+    }
+
+    /**
+     * Replace the declarative templates (stored in Firestore) with a fresh set of definitions
+     * Built-in templates are never replaced
+     */
+    setDeclarativeTemplates(definitions = []) {
+        this.templateRegistry.getAll()
+            .filter(template => template.declarative)
+            .forEach(template => this.templateRegistry.unregister(template.id));
+        
+        definitions.forEach(definition => {
+            if (definition.active === false) return;
+            
+            const errors = DeclarativeTemplate.validate(definition);
+            if (errors.length > 0) {
+                console.error(`❌ Skipping template ${definition.templateId}: ${errors.join('; ')}`);
+                return;
+            }
+            
+            const existing = this.templateRegistry.get(definition.templateId);
+            if (existing && !existing.declarative) {
+                console.error(`❌ Skipping template ${definition.templateId}: clashes with a built-in template`);
+                return;
+            }
+            
+            this.templateRegistry.register(DeclarativeTemplate.fromDefinition(definition, this));
+        });
     }
 
     /**
@@ -91,33 +179,485 @@ class PDFParser {
         try {
             const arrayBuffer = await file.arrayBuffer();
             const pdf = await pdfjsLib.getDocument({data: arrayBuffer}).promise;
-            const page = await pdf.getPage(1);
-            const textContent = await page.getTextContent();
             
-            // Extract text from PDF
-            const text = textContent.items.map(item => item.str).join(' ');
+            // Rebuild rows and columns from every page of the PDF
+            const layout = await this.extractLayout(pdf);
+            
+            // Score every template and parse with the best match
+            const detection = this.templateRegistry.detect(layout);
             
-            // Determine template type and parse
-            const isConsolidated = text.includes('Consolidated Purchase Order');
-            const isPickingNote = text.includes('Picking Note');
+            if (layout.unreadablePages.length > 0) {
+                detection.reasons.push(`Scanned page(s) ${layout.unreadablePages.join(', ')} could not be read - OCR is unavailable`);
+            }
             
-            if (isPickingNote) {
-                return await this.parsePickingNote(text, file.name);
-            } else if (isConsolidated) {
-                return await this.parseConsolidatedOrder(text, file.name);
+            let order;
+            if (detection.status === 'unknown') {
+                console.warn(`⚠️ ${file.name}: no template matched (best score ${detection.score})`);
+                order = this.createUnknownOrder(file.name);
             } else {
-                return await this.parseStandardOrder(text, file.name);
+                console.log(`🧩 ${file.name}: ${detection.templateName} template (score ${detection.score})`);
+                order = await detection.template.parse(layout, file.name);
             }
+            
+            this.assessConfidence(order, {
+                pricesExpected: !detection.template || detection.template.pricesExpected !== false,
+                ocrPages: layout.ocrPages,
+                pageCount: layout.pageCount
+            });
+            
+            order.templateDetection = {
+                status: detection.status,
+                templateId: detection.templateId,
+                templateName: detection.templateName,
+                score: detection.score,
+                reasons: detection.reasons,
+                candidates: detection.candidates.map(c => ({ templateId: c.templateId, score: c.score }))
+            };
+            
+            order.pageCount = layout.pageCount;
+            order.ocrPages = layout.ocrPages;
+            return order;
         } catch (error) {
             console.error('Error processing PDF:', error);
             throw error;
         }
     }
 
+    /**
+     * Empty order for a PDF no template recognised - shown for review but can't be approved
+     */
+    createUnknownOrder(filename) {
+        return {
+            filename: filename,
+            type: 'Unknown',
+            customerCode: '',
+            customerName: '',
+            poNumber: '',
+            orderDate: '',
+            deliveryDate: '',
+            products: [],
+            total: 0
+        };
+    }
+
+    /**
+     * Record the rule that produced an order field and how far it can be trusted
+     * @param {string} level - 'high' | 'medium' | 'low'
+     * @param {Object} region - Where the value was printed (from locateMatch / locateText)
+     */
+    recordField(order, field, rule, level = 'high', region = null) {
+        if (!order.fieldConfidence) order.fieldConfidence = {};
+        order.fieldConfidence[field] = { level: level, rule: rule };
+        
+        if (region) {
+            if (!order.fieldSources) order.fieldSources = {};
+            order.fieldSources[field] = region;
+        }
+    }
+
+    /**
+     * Record the rule that produced a product line
+     */
+    recordProduct(product, rule, level = 'high') {
+        product.confidence = { level: level, rule: rule, issues: [] };
+        return product;
+    }
+
+    /**
+     * Fill in confidence for anything no rule recorded and downgrade values that look wrong
+     * @param {Object} options - pricesExpected: false for templates without prices (picking notes),
+     *                           ocrPages / pageCount so values read by OCR are marked low confidence
+     */
+    assessConfidence(order, options = {}) {
+        if (!order.fieldConfidence) order.fieldConfidence = {};
+        
+        const ocrPages = options.ocrPages || [];
+        const readByOCR = (pageNumber) => pageNumber
+            ? ocrPages.includes(pageNumber)
+            : ocrPages.length > 0 && ocrPages.length === options.pageCount;
+        
+        PDFParser.CONFIDENCE_FIELDS.forEach(field => {
+            const value = order[field];
+            const recorded = order.fieldConfidence[field];
+            
+            if (!value) {
+                order.fieldConfidence[field] = {
+                    level: 'missing',
+                    rule: recorded ? `${recorded.rule} (no value)` : 'No rule matched'
+                };
+                return;
+            }
+            
+            if (!recorded) {
+                this.recordField(order, field, `${order.type} template`, 'medium');
+            }
+            
+            if (field.endsWith('Date') && !/^\d{2}\/\d{2}\/\d{4}$/.test(value)) {
+                order.fieldConfidence[field].level = 'low';
+                order.fieldConfidence[field].rule += ' - not a DD/MM/YYYY date';
+            }
+            
+            const region = order.fieldSources && order.fieldSources[field];
+            if (readByOCR(region ? region.pageNumber : null)) {
+                order.fieldConfidence[field].level = 'low';
+                order.fieldConfidence[field].rule += ' (read by OCR)';
+            }
+        });
+        
+        order.products.forEach(product => {
+            if (!product.confidence) {
+                this.recordProduct(product, `${order.type} template`, 'medium');
+            }
+            
+            const issues = product.confidence.issues;
+            if (!product.description) issues.push('No description');
+            if (!/^[A-Z0-9]+$/i.test(product.productCode)) issues.push('Unusual product code');
+            if (options.pricesExpected !== false && !(product.unitPrice > 0)) issues.push('No unit price');
+            if (readByOCR(product.sourcePage)) issues.push('Read by OCR');
+            
+            if (issues.length > 0) {
+                product.confidence.level = 'low';
+            }
+        });
+        
+        const attention = PDFParser.getFieldsNeedingAttention(order);
+        if (attention.length > 0) {
+            console.warn(`⚠️ ${order.filename} needs attention: ${attention.map(item => item.label).join(', ')}`);
+        }
+        
+        return order;
+    }
+
+    /**
+     * Build the positioned layout of every page
+     * @returns {Object} { pages, rows, text, pageCount, ocrPages, unreadablePages } - text is the row texts
+     *                   joined by newlines, each row records its page, y-position, cells and offset into text
+     */
+    async extractLayout(pdf) {
+        const pages = [];
+        const rows = [];
+        let offset = 0;
+        
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const viewport = page.getViewport({ scale: 1.0 });
+            const textContent = await page.getTextContent();
+            
+            // Scanned pages have no text layer - read them with OCR instead
+            let textItems = textContent.items;
+            let ocr = false;
+            let unreadable = false;
+            if (await this.ocrEngine.isImageOnlyPage(page, textContent)) {
+                try {
+                    console.log(`🔠 Page ${pageNumber} is an image - running OCR`);
+                    textItems = await this.ocrEngine.recognizePage(page);
+                    ocr = true;
+                    console.log(`🔠 OCR read ${textItems.length} words from page ${pageNumber}`);
+                } catch (error) {
+                    console.error(`❌ OCR failed on page ${pageNumber}:`, error);
+                    unreadable = true;
+                }
+            }
+            
+            const items = this.layoutEngine.normalizeItems(textItems, pageNumber);
+            const pageRows = this.layoutEngine.groupIntoRows(items);
+            
+            pageRows.forEach(row => {
+                const stripped = this.stripPageFurniture(row.text);
+                if (!stripped) return;
+                
+                // Item offsets only line up with the row text if nothing was stripped
+                row.offsetsExact = stripped === row.text;
+                row.text = stripped;
+                
+                row.start = offset;
+                row.end = offset + row.text.length;
+                offset = row.end + 1; // Rows are joined with newlines
+                rows.push(row);
+            });
+            
+            pages.push({
+                pageNumber: pageNumber,
+                width: viewport.width,
+                height: viewport.height,
+                ocr: ocr,
+                unreadable: unreadable
+            });
+        }
+        
+        console.log(`📄 Extracted ${rows.length} rows from ${pages.length} page(s)`);
+        
+        return {
+            pages: pages,
+            rows: rows,
+            text: rows.map(row => row.text).join('\n'),
+            pageCount: pdf.numPages,
+            ocrPages: pages.filter(page => page.ocr).map(page => page.pageNumber),
+            unreadablePages: pages.filter(page => page.unreadable).map(page => page.pageNumber)
+        };
+    }
+
+    /**
+     * Remove "continued" footers, page numbers and carried/brought forward lines
+     */
+    stripPageFurniture(text) {
+        return text
+            .replace(/\bPage\s+\d+\s+(?:of|\/)\s+\d+\b/gi, ' ')
+            .replace(/\(?\s*\b(?:continued(?:\s+(?:on\s+next\s+page|overleaf))?|cont['’]d)\b\.?\s*\)?/gi, ' ')
+            .replace(/\b(?:(?:sub\s*-?\s*)?total\s+)?(?:carried|brought)\s+forward[:\s]*£?\s*\d*(?:\.\d+)?/gi, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Find which page a position in the layout text came from
+     */
+    findSourcePage(layout, offset) {
+        const rows = layout.rows;
+        if (!rows || rows.length === 0 || offset < 0) return 1;
+        
+        const row = rows.find(r => offset >= r.start && offset <= r.end);
+        return row ? row.pageNumber : rows[rows.length - 1].pageNumber;
+    }
+
+    /**
+     * Region of the page where a range of the layout text was printed
+     * @returns {Object|null} { pageNumber, x, y, width, height } in PDF user space
+     */
+    findSourceRegion(layout, start, end) {
+        if (!layout.rows || start < 0) return null;
+        
+        const rows = layout.rows.filter(row => row.start < end && row.end > start);
+        if (rows.length === 0) return null;
+        
+        const pageNumber = rows[0].pageNumber;
+        const items = [];
+        rows.filter(row => row.pageNumber === pageNumber).forEach(row => {
+            if (!row.offsetsExact) {
+                items.push(...row.items);
+                return;
+            }
+            
+            const from = start - row.start;
+            const to = end - row.start;
+            items.push(...row.items.filter(item => item.textStart < to && item.textStart + item.str.length > from));
+        });
+        
+        return this.layoutEngine.getBoundingBox(items.length > 0 ? items : rows[0].items);
+    }
+
+    /**
+     * Read the address printed under a label - the cells below it that line up with it,
+     * up to the next label or the first row with nothing in that column
+     * @returns {Object|null} { name, address1, address2, city, zip, country }
+     */
+    parseAddressBlock(layout, label) {
+        const rows = layout.rows || [];
+        const labelPattern = new RegExp(label, 'i');
+        const start = rows.findIndex(row => (row.cells || []).some(cell => labelPattern.test(cell.text)));
+        if (start < 0) return null;
+        
+        const labelCell = rows[start].cells.find(cell => labelPattern.test(cell.text));
+        const lines = [];
+        
+        // "Delivery Address: Kitchen Ltd" - the first line can share the label's cell
+        const inline = labelCell.text.replace(labelPattern, '').replace(/^[\s:]+/, '').trim();
+        if (inline) lines.push(inline);
+        
+        for (let i = start + 1; i < rows.length && lines.length < PDFParser.ADDRESS_MAX_LINES; i++) {
+            if (rows[i].pageNumber !== rows[start].pageNumber) break;
+            
+            const cell = (rows[i].cells || []).find(c => Math.abs(c.x - labelCell.x) <= PDFParser.ADDRESS_ALIGN_TOLERANCE);
+            if (!cell || PDFParser.ADDRESS_END_PATTERN.test(cell.text)) break;
+            lines.push(cell.text.trim());
+        }
+        
+        return this.splitAddressLines(lines);
+    }
+
+    /**
+     * Split address lines into the fields Freshware takes - name first, then street lines,
+     * then the town with the postcode
+     */
+    splitAddressLines(lines) {
+        if (lines.length < 2) return null;
+        
+        const postcodeIndex = lines.findIndex(line => PDFParser.UK_POSTCODE.test(line));
+        const name = lines[0];
+        let street = postcodeIndex > 0 ? lines.slice(1, postcodeIndex) : lines.slice(1);
+        let city = '';
+        let zip = '';
+        
+        if (postcodeIndex > 0) {
+            const postcodeLine = lines[postcodeIndex];
+            zip = postcodeLine.match(PDFParser.UK_POSTCODE)[0].toUpperCase();
+            city = postcodeLine.replace(PDFParser.UK_POSTCODE, '').replace(/^[\s,]+|[\s,]+$/g, '');
+            
+            // Postcode on its own line - the town is the line before it
+            if (!city && street.length > 1) {
+                city = street[street.length - 1];
+                street = street.slice(0, -1);
+            }
+        }
+        
+        return {
+            name: name,
+            address1: street[0] || '',
+            address2: street.slice(1).join(', '),
+            city: city,
+            zip: zip,
+            country: 'GB'
+        };
+    }
+
+    /**
+     * Region of a regex match (the capture group if there is one)
+     */
+    locateMatch(layout, match, group = 1) {
+        if (!match) return null;
+        
+        const value = match[group] !== undefined ? match[group] : match[0];
+        const start = match.index + Math.max(0, match[0].indexOf(value));
+        return this.findSourceRegion(layout, start, start + value.length);
+    }
+
+    /**
+     * Region of the first place a value appears in the layout text
+     */
+    locateText(layout, value) {
+        if (!value) return null;
+        
+        const start = layout.text.indexOf(value);
+        return start === -1 ? null : this.findSourceRegion(layout, start, start + value.length);
+    }
+
+    /**
+     * Extract products from the positioned product table
+     * @param {Object} layout - Layout from extractLayout
+     * @param {Object} options - isValid(product) filter for template-specific checks,
+     *                           layoutEngine to use a template's own column labels
+     * @returns {Array|null} Products, or null if no table header row was found
+     */
+    extractTableProducts(layout, options = {}) {
+        const layoutEngine = options.layoutEngine || this.layoutEngine;
+        const table = layoutEngine.extractTable(layout.rows);
+        if (!table) {
+            console.log('⚠️ No product table header found');
+            return null;
+        }
+        
+        const products = [];
+        let previous = null;
+        let previousItems = [];
+        
+        table.rows.forEach(({ row, cells }) => {
+            const product = this.buildProductFromCells(cells, row);
+            
+            if (!product) {
+                // Wrapped description line belongs to the product above it
+                if (previous && cells.description && !cells.quantity && !cells.code &&
+                    previous.sourcePage === row.pageNumber) {
+                    previous.description = `${previous.description} ${cells.description}`.trim();
+                    previousItems = [...previousItems, ...row.items];
+                    previous.sourceRegion = this.layoutEngine.getBoundingBox(previousItems);
+                }
+                return;
+            }
+            
+            if (options.isValid && !options.isValid(product)) {
+                console.log('Skipping table row:', row.text);
+                previous = null;
+                return;
+            }
+            
+            console.log('Product extracted:', product);
+            products.push(this.recordProduct(product, 'Product table row'));
+            previous = product;
+            previousItems = row.items;
+        });
+        
+        return products;
+    }
+
+    /**
+     * Turn a table row's cells into a product
+     * @returns {Object|null} Product, or null if the row has no product code or quantity
+     */
+    buildProductFromCells(cells, row) {
+        let productCode = (cells.code || '').trim();
+        let description = (cells.description || '').trim();
+        
+        // Some layouts print the code and description in a single cell
+        const combinedPattern = /^(\d+[A-Z]+)\/?-?\s+(.+)$/;
+        if (!description && combinedPattern.test(productCode)) {
+            [, productCode, description] = productCode.match(combinedPattern);
+        } else if (!productCode && combinedPattern.test(description)) {
+            [, productCode, description] = description.match(combinedPattern);
+        }
+        
+        productCode = productCode.replace(/\/?-?$/, '');
+        const quantity = this.parseNumber(cells.quantity);
+        
+        if (!productCode || !(quantity > 0)) return null;
+        
+        return {
+            quantity: quantity,
+            description: description,
+            productCode: productCode,
+            caseSize: (cells.pack || '').trim() || 'Each',
+            unitPrice: this.parseNumber(cells.price) || 0,
+            netPrice: this.parseNumber(cells.net) || 0,
+            sourcePage: row.pageNumber,
+            sourceRegion: this.layoutEngine.getBoundingBox(row.items)
+        };
+    }
+
+    /**
+     * Parse the first number in a cell, ignoring currency symbols, units and thousands separators
+     */
+    parseNumber(value) {
+        if (value === undefined || value === null) return NaN;
+        const match = String(value).replace(/,/g, '').match(/-?\d+(?:\.\d+)?/);
+        return match ? parseFloat(match[0]) : NaN;
+    }
+
+    /**
+     * Fallback when no table header is found: run product patterns over the layout text
+     * Patterns capture quantity, description, code, case size, unit price and net price
+     */
+    extractProductsWithPatterns(layout, patterns, options = {}) {
+        for (const pattern of patterns) {
+            const products = [];
+            let match;
+            
+            while ((match = pattern.exec(layout.text)) !== null) {
+                const product = {
+                    quantity: parseFloat(match[1]),
+                    description: match[2].trim(),
+                    productCode: match[3].trim(),
+                    caseSize: match[4].trim(),
+                    unitPrice: parseFloat(match[5]),
+                    netPrice: parseFloat(match[6]),
+                    sourcePage: this.findSourcePage(layout, match.index),
+                    sourceRegion: this.findSourceRegion(layout, match.index, match.index + match[0].length)
+                };
+                
+                if (!options.isValid || options.isValid(product)) {
+                    products.push(this.recordProduct(product, `Text pattern ${patterns.indexOf(pattern) + 1}`, 'medium'));
+                }
+            }
+            
+            if (products.length > 0) return products;
+        }
+        
+        return [];
+    }
+
     /**
      * COMPLETE FIXED parsePickingNote function with catalog enhancement
      */
-    async parsePickingNote(text, filename) { 
+    async parsePickingNote(layout, filename) {
+        const text = layout.text;
         const order = {
             filename: filename,
             type: 'Picking Note',
@@ -134,36 +674,41 @@ class PDFParser {
         const basketIdMatch = text.match(/Basket ID\s+(\d+)/);
         if (basketIdMatch) {
             order.poNumber = basketIdMatch[1];
+            this.recordField(order, 'poNumber', 'Basket ID label', 'high', this.locateMatch(layout, basketIdMatch));
         }
         
         // Extract dates (convert from "30-Jul-2025" to "30/07/2025" format)
         const orderDateMatch = text.match(/Order date\s+(\d{1,2}-[A-Za-z]{3}-\d{4})/);
         if (orderDateMatch) {
             order.orderDate = this.convertPickingDate(orderDateMatch[1]);
+            this.recordField(order, 'orderDate', 'Order date label', 'high', this.locateMatch(layout, orderDateMatch));
         }
         
         const deliveryDateMatch = text.match(/Delivery date\s+(\d{1,2}-[A-Za-z]{3}-\d{4})/);
         if (deliveryDateMatch) {
             order.deliveryDate = this.convertPickingDate(deliveryDateMatch[1]);
+            this.recordField(order, 'deliveryDate', 'Delivery date label', 'high', this.locateMatch(layout, deliveryDateMatch));
         }
         
         // Extract Customer Reference (use as customer code)
         const customerRefMatch = text.match(/Customer ref\s+(\S+)/);
         if (customerRefMatch) {
             order.customerCode = customerRefMatch[1];
+            this.recordField(order, 'customerCode', 'Customer ref label', 'high', this.locateMatch(layout, customerRefMatch));
         }
         
         // Extract Customer Name from Delivery Address section
         const deliveryAddressPatterns = [
-            /Delivery Address[^M]*?([A-Za-z][^M]*(?:Ltd|Hospital|Kitchen|Restaurant)[^M]*)/i,
-            /Delivery Address[^U]*?(University College Hospital[^M]*)/i,
-            /Delivery Address[^M]*?Mitie[^M]*?([A-Za-z][^M]*)/i
+            /Delivery Address[^M]*?([A-Za-z][^M\n]*(?:Ltd|Hospital|Kitchen|Restaurant)[^M\n]*)/i,
+            /Delivery Address[^U]*?(University College Hospital[^M\n]*)/i,
+            /Delivery Address[^M]*?Mitie[^M\n]*?([A-Za-z][^M\n]*)/i
         ];
         
         for (const pattern of deliveryAddressPatterns) {
             const match = text.match(pattern);
             if (match) {
                 order.customerName = match[1].trim();
+                this.recordField(order, 'customerName', `Delivery Address pattern ${deliveryAddressPatterns.indexOf(pattern) + 1}`, 'medium', this.locateMatch(layout, match));
                 break;
             }
         }
@@ -176,120 +721,36 @@ class PDFParser {
                 for (const line of lines) {
                     if (line.includes('Hospital') || line.includes('Kitchen') || line.includes('Restaurant') || line.includes('Ltd')) {
                         order.customerName = line.trim();
+                        this.recordField(order, 'customerName', 'Delivery Address keyword line', 'low', this.locateText(layout, order.customerName));
                         break;
                     }
                 }
             }
         }
         
-        // IMPROVED PRODUCT EXTRACTION
-        console.log('Full text for debugging:', text);
-        
-        // Split text into lines and look for product table section
-        const lines = text.split(/[\n\r]+/);
-        let inProductSection = false;
-        let productLines = [];
-        
-        // Find the start and end of the product table
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
-            
-            // Start of product table
-            if (line.includes('Description') && line.includes('Quantity') || 
-                line.match(/^\d+[A-Z]+\/?\-?\s/) ||
-                line.match(/^\d+[A-Z]{2,}/)) {
-                inProductSection = true;
-            }
-            
-            // End of product table
-            if (inProductSection && (
-                line.includes('Total') || 
-                line.includes('Delivery') ||
-                line.includes('Comments') ||
-                line.length === 0)) {
-                if (!line.match(/^\d+[A-Z]/)) {
-                    break;
-                }
-            }
-            
-            if (inProductSection && line.length > 0) {
-                productLines.push(line);
-            }
+        // The full delivery address - offered as an update to the customer master when it differs
+        const deliveryAddress = this.parseAddressBlock(layout, 'Delivery Address');
+        if (deliveryAddress) {
+            order.deliveryAddress = deliveryAddress;
         }
         
-        console.log('Product lines found:', productLines);
-        
-        // Multiple patterns to catch different product line formats
-        const productPatterns = [
-            /^(\d+[A-Z]+)\/?\-?\s+(.+?)\s+(1x\w+|\d+\.\d+\s*Kg|£\s*per\s*Kg)\s+(\d+(?:\.\d+)?)\s*(?:Kg\s*)?_*$/,
-            /^(\d+[A-Z]+)\s+(.+?)\s+(1x\w+|\d+\.\d+\s*Kg|£\s*per\s*Kg)\s+(\d+(?:\.\d+)?)\s*(?:Kg\s*)?_*$/,
-            /^(\d+[A-Z]+)\/?\-?\s+(.{5,}?)\s+(1x\w+|\d+\.\d+\s*Kg|£\s*per\s*Kg|\w+)\s+(\d+(?:\.\d+)?)\s*_*$/,
-            /^(\d+[A-Z]+)\/?\-?\s+(.{3,}?)\s+(\d+(?:\.\d+)?)\s*(?:Kg\s*)?_*$/
-        ];
+        // POSITION-AWARE PRODUCT EXTRACTION
+        console.log('Full text for debugging:', text);
         
-        const tempProducts = []; // Store products before catalog enhancement
+        const tempProducts = this.extractTableProducts(layout, {
+            isValid: product => product.productCode.length >= 3 &&
+                product.description.length >= 3 &&
+                product.quantity < 10000
+        }) || [];
         
-        productLines.forEach(line => {
-            console.log('Processing line:', line);
-            
-            // Skip header lines
-            if (line.toLowerCase().includes('description') || 
-                line.toLowerCase().includes('product') ||
-                line.toLowerCase().includes('quantity') ||
-                line.toLowerCase().includes('pack size')) {
-                return;
-            }
-            
-            let productFound = false;
-            
-            // Try each pattern
-            for (let i = 0; i < productPatterns.length && !productFound; i++) {
-                const match = line.match(productPatterns[i]);
-                
-                if (match) {
-                    console.log(`Pattern ${i + 1} matched:`, match);
-                    
-                    let productCode, description, caseSize, quantity;
-                    
-                    if (match.length === 5) {
-                        [, productCode, description, caseSize, quantity] = match;
-                    } else if (match.length === 4) {
-                        [, productCode, description, quantity] = match;
-                        caseSize = 'Each';
-                    }
-                    
-                    // Clean up the data
-                    productCode = productCode.replace(/\/?\-?$/, '');
-                    description = description.trim();
-                    quantity = parseFloat(quantity);
-                    
-                    // Validate the product
-                    if (productCode && productCode.length >= 3 && 
-                        description && description.length >= 3 && 
-                        quantity > 0 && quantity < 10000) {
-                        
-                        const product = {
-                            quantity: quantity,
-                            description: description,
-                            productCode: productCode,
-                            caseSize: caseSize || 'Each',
-                            unitPrice: 0,
-                            netPrice: 0
-                        };
-                        
-                        console.log('Product extracted:', product);
-                        tempProducts.push(product);
-                        productFound = true;
-                    }
-                }
-            }
-            
-            if (!productFound) {
-                console.log('No pattern matched for line:', line);
-            }
+        // No pricing in picking notes
+        tempProducts.forEach(product => {
+            product.unitPrice = 0;
+            product.netPrice = 0;
         });
         
-        // Additional fallback: look for any line with product code pattern
+        // Fallback: a short (or missing) table may have missed lines - add anything shaped like a
+        // product code followed by a quantity that isn't already there
         if (tempProducts.length < 5) {
             console.log('Using fallback extraction...');
             
@@ -308,11 +769,13 @@ class PDFParser {
                         productCode: productCode,
                         caseSize: 'Each',
                         unitPrice: 0,
-                        netPrice: 0
+                        netPrice: 0,
+                        sourcePage: this.findSourcePage(layout, match.index),
+                        sourceRegion: this.findSourceRegion(layout, match.index, match.index + match[0].length)
                     };
                     
                     console.log('Fallback product extracted:', product);
-                    tempProducts.push(product);
+                    tempProducts.push(this.recordProduct(product, 'Fallback code/quantity sweep', 'low'));
                 }
             }
         }
@@ -366,7 +829,8 @@ class PDFParser {
      * Parse consolidated order template
      * NOW ENHANCED with Product Catalog Integration
      */
-    async parseConsolidatedOrder(text, filename) {
+    async parseConsolidatedOrder(layout, filename) {
+        const text = layout.text;
         const order = {
             filename: filename,
             type: 'Consolidated',
@@ -381,105 +845,90 @@ class PDFParser {
         
         // Extract PO Number
         const poPatterns = [
-            /PO Number:\s*([A-Z0-9]+)/i,
-            /Purchase Order[^:]*:\s*([A-Z0-9]+)/i,
-            /PO[:\s]+([A-Z0-9]+)/i
+            { pattern: /PO Number:\s*([A-Z0-9]+)/i, rule: 'PO Number label', level: 'high' },
+            { pattern: /Purchase Order[^:]*:\s*([A-Z0-9]+)/i, rule: 'Purchase Order label', level: 'medium' },
+            { pattern: /PO[:\s]+([A-Z0-9]+)/i, rule: 'PO prefix', level: 'low' }
         ];
         
-        for (const pattern of poPatterns) {
+        for (const { pattern, rule, level } of poPatterns) {
             const match = text.match(pattern);
             if (match) {
                 order.poNumber = match[1];
+                this.recordField(order, 'poNumber', rule, level, this.locateMatch(layout, match));
                 break;
             }
         }
         
         // Extract dates
         const orderDatePatterns = [
-            /Order Date:\s*(\d{2}\/\d{2}\/\d{4})/,
-            /Date:\s*(\d{2}\/\d{2}\/\d{4})/
+            { pattern: /Order Date:\s*(\d{2}\/\d{2}\/\d{4})/, rule: 'Order Date label', level: 'high' },
+            { pattern: /Date:\s*(\d{2}\/\d{2}\/\d{4})/, rule: 'Date label', level: 'medium' }
         ];
         
-        for (const pattern of orderDatePatterns) {
+        for (const { pattern, rule, level } of orderDatePatterns) {
             const match = text.match(pattern);
             if (match) {
                 order.orderDate = match[1];
+                this.recordField(order, 'orderDate', rule, level, this.locateMatch(layout, match));
                 break;
             }
         }
         
         const deliveryDatePatterns = [
-            /Delivery Date:\s*(\d{2}\/\d{2}\/\d{4})/,
-            /Deliver[^:]*:\s*(\d{2}\/\d{2}\/\d{4})/
+            { pattern: /Delivery Date:\s*(\d{2}\/\d{2}\/\d{4})/, rule: 'Delivery Date label', level: 'high' },
+            { pattern: /Deliver[^:]*:\s*(\d{2}\/\d{2}\/\d{4})/, rule: 'Deliver... label', level: 'medium' }
         ];
         
-        for (const pattern of deliveryDatePatterns) {
+        for (const { pattern, rule, level } of deliveryDatePatterns) {
             const match = text.match(pattern);
             if (match) {
                 order.deliveryDate = match[1];
+                this.recordField(order, 'deliveryDate', rule, level, this.locateMatch(layout, match));
                 break;
             }
         }
         
         // Extract customer info
         const customerPatterns = [
-            /following outlets[^:]*:\s*([^(]+)\s*\(([^)]+)\)/i,
-            /outlets[^:]*:\s*([^(]+)\s*\(([^)]+)\)/i,
-            /The\s+([^(]+)\s*\(([^)]+)\)/i
+            { pattern: /following outlets[^:]*:\s*([^(]+)\s*\(([^)]+)\)/i, rule: 'Following outlets line', level: 'high' },
+            { pattern: /outlets[^:]*:\s*([^(]+)\s*\(([^)]+)\)/i, rule: 'Outlets line', level: 'medium' },
+            { pattern: /The\s+([^(]+)\s*\(([^)]+)\)/i, rule: '"The Name (CODE)" text', level: 'low' }
         ];
         
-        for (const pattern of customerPatterns) {
+        for (const { pattern, rule, level } of customerPatterns) {
             const match = text.match(pattern);
             if (match) {
                 order.customerName = match[1].trim();
                 order.customerCode = match[2].trim();
+                this.recordField(order, 'customerName', rule, level, this.locateMatch(layout, match, 1));
+                this.recordField(order, 'customerCode', rule, level, this.locateMatch(layout, match, 2));
                 break;
             }
         }
         
-        // Extract products
-        const productPatterns = [
-            /(\d+\.?\d*)\s+([A-Z\s]+?)\s+([A-Z]+)\s+(1x[A-Za-z]+)\s+(\d+\.?\d*)\s+(\d+\.?\d*)/g,
-            /(\d+\.?\d*)\s+([A-Z][A-Z\s]+?)\s+([A-Z]{2,5})\s+([^\d]+)\s+(\d+\.?\d*)\s+(\d+\.?\d*)/g
-        ];
+        // Extract products from the positioned table, falling back to text patterns
+        const isValid = product => product.quantity > 0 && product.productCode && product.unitPrice > 0;
+        let products = this.extractTableProducts(layout, { isValid });
         
-        for (const pattern of productPatterns) {
-            let match;
-            while ((match = pattern.exec(text)) !== null) {
-                const product = {
-                    quantity: parseFloat(match[1]),
-                    description: match[2].trim(),
-                    productCode: match[3].trim(),
-                    caseSize: match[4].trim(),
-                    unitPrice: parseFloat(match[5]),
-                    netPrice: parseFloat(match[6])
-                };
-                
-                if (product.quantity > 0 && product.productCode && product.unitPrice > 0) {
-                    // Enhanced with catalog description
-                    const enhancedProduct = await this.enhanceProductWithCatalog(product);
-                    order.products.push(enhancedProduct);
-                    order.total += enhancedProduct.netPrice;
-                }
-            }
-            
-            if (order.products.length > 0) break;
+        // A header matched by generic labels can find a table whose rows don't parse
+        if (!products || products.length === 0) {
+            products = this.extractProductsWithPatterns(layout, [
+                /(\d+\.?\d*)\s+([A-Z\s]+?)\s+([A-Z]+)\s+(1x[A-Za-z]+)\s+(\d+\.?\d*)\s+(\d+\.?\d*)/g,
+                /(\d+\.?\d*)\s+([A-Z][A-Z\s]+?)\s+([A-Z]{2,5})\s+([^\d]+)\s+(\d+\.?\d*)\s+(\d+\.?\d*)/g
+            ], { isValid });
         }
         
-        // Extract total if products parsing failed
-        if (order.total === 0) {
-            const totalPatterns = [
-                /Net Total[:\s]+(\d+\.?\d*)/i,
-                /Total[:\s]+(\d+\.?\d*)/i
-            ];
-            
-            for (const pattern of totalPatterns) {
-                const match = text.match(pattern);
-                if (match) {
-                    order.total = parseFloat(match[1]);
-                    break;
-                }
-            }
+        for (const product of products) {
+            // Enhanced with catalog description
+            const enhancedProduct = await this.enhanceProductWithCatalog(product);
+            order.products.push(enhancedProduct);
+            order.total += enhancedProduct.netPrice;
+        }
+        
+        // Printed total - reconciled against the lines, and used as the total if products parsing failed
+        order.printedTotal = this.extractPrintedTotal(text);
+        if (order.total === 0 && order.printedTotal) {
+            order.total = order.printedTotal;
         }
         
         return order;
@@ -489,7 +938,8 @@ class PDFParser {
      * Parse standard order template
      * NOW ENHANCED with Product Catalog Integration
      */
-    async parseStandardOrder(text, filename) {
+    async parseStandardOrder(layout, filename) {
+        const text = layout.text;
         const order = {
             filename: filename,
             type: 'Standard',
@@ -504,46 +954,77 @@ class PDFParser {
         
         // Extract PO Number
         const poMatch = text.match(/PO Number:\s*([A-Z0-9]+)/);
-        if (poMatch) order.poNumber = poMatch[1];
+        if (poMatch) {
+            order.poNumber = poMatch[1];
+            this.recordField(order, 'poNumber', 'PO Number label', 'high', this.locateMatch(layout, poMatch));
+        }
         
         // Extract dates
         const orderDateMatch = text.match(/Order Date:\s*(\d{2}\/\d{2}\/\d{4})/);
-        if (orderDateMatch) order.orderDate = orderDateMatch[1];
+        if (orderDateMatch) {
+            order.orderDate = orderDateMatch[1];
+            this.recordField(order, 'orderDate', 'Order Date label', 'high', this.locateMatch(layout, orderDateMatch));
+        }
         
         const deliveryDateMatch = text.match(/Delivery Date:\s*(\d{2}\/\d{2}\/\d{4})/);
-        if (deliveryDateMatch) order.deliveryDate = deliveryDateMatch[1];
+        if (deliveryDateMatch) {
+            order.deliveryDate = deliveryDateMatch[1];
+            this.recordField(order, 'deliveryDate', 'Delivery Date label', 'high', this.locateMatch(layout, deliveryDateMatch));
+        }
         
         // Extract customer code from Account No
         const accountMatch = text.match(/Account No:\s*([A-Z0-9]+)/);
-        if (accountMatch) order.customerCode = accountMatch[1];
+        if (accountMatch) {
+            order.customerCode = accountMatch[1];
+            this.recordField(order, 'customerCode', 'Account No label', 'high', this.locateMatch(layout, accountMatch));
+        }
         
         // Extract customer name from Deliver To section
         const deliverMatch = text.match(/Deliver To\s+([^\n]+)/);
-        if (deliverMatch) order.customerName = deliverMatch[1].trim();
-        
-        // Extract products table
-        const tablePattern = /(\d+\.?\d*)\s+([A-Z\s]+?)\s+([A-Z]+)\s+(1x\w+)\s+(\d+\.?\d*)\s+(\d+\.?\d*)/g;
-        let match;
-        
-        while ((match = tablePattern.exec(text)) !== null) {
-            const product = {
-                quantity: parseFloat(match[1]),
-                description: match[2].trim(),
-                productCode: match[3].trim(),
-                caseSize: match[4].trim(),
-                unitPrice: parseFloat(match[5]),
-                netPrice: parseFloat(match[6])
-            };
-            
+        if (deliverMatch) {
+            order.customerName = deliverMatch[1].trim();
+            this.recordField(order, 'customerName', 'Deliver To line', 'medium', this.locateMatch(layout, deliverMatch));
+        }
+        
+        // Extract products from the positioned table, falling back to the text pattern
+        let products = this.extractTableProducts(layout);
+        
+        // A header matched by generic labels can find a table whose rows don't parse
+        if (!products || products.length === 0) {
+            products = this.extractProductsWithPatterns(layout, [
+                /(\d+\.?\d*)\s+([A-Z\s]+?)\s+([A-Z]+)\s+(1x\w+)\s+(\d+\.?\d*)\s+(\d+\.?\d*)/g
+            ]);
+        }
+        
+        for (const product of products) {
             // Enhanced with catalog description
             const enhancedProduct = await this.enhanceProductWithCatalog(product);
             order.products.push(enhancedProduct);
             order.total += enhancedProduct.netPrice;
         }
         
+        order.printedTotal = this.extractPrintedTotal(text);
+        
         return order;
     }
 
+    /**
+     * Read the total printed on the document (Net Total first, then any Total) - the last one
+     * printed wins, as a grand total comes after the sub totals
+     * @returns {number|null} Printed total, or null if none was found
+     */
+    extractPrintedTotal(text, patterns = PDFParser.TOTAL_PATTERNS) {
+        for (const pattern of patterns) {
+            const flags = pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`;
+            const totals = [...text.matchAll(new RegExp(pattern.source, flags))]
+                .map(match => this.parseNumber(match[1]))
+                .filter(total => total > 0);
+            if (totals.length > 0) return totals[totals.length - 1];
+        }
+        
+        return null;
+    }
+
     /**
      * Set product conversions cache for decimal quantity conversion
      */
@@ -552,5 +1033,64 @@ class PDFParser {
     }
 }
 
+/**
+ * Printed document totals, most specific first - the amount must be on the label's own line,
+ * so a "Total" column header doesn't read the first row's quantity
+ */
+PDFParser.TOTAL_PATTERNS = [
+    /Net Total[ \t:]+£?[ \t]*([\d,]+\.?\d*)/i,
+    /Total[ \t:]+£?[ \t]*([\d,]+\.?\d*)/i
+];
+
+/**
+ * Address blocks: how far a line may sit from the label's left edge, how many lines to read,
+ * and the labels that end the block
+ */
+PDFParser.ADDRESS_ALIGN_TOLERANCE = 15;
+PDFParser.ADDRESS_MAX_LINES = 7;
+PDFParser.ADDRESS_END_PATTERN = /^(?:Order date|Delivery date|Customer ref|Basket ID|Invoice Address|Tel|Phone|Code|Qty|Quantity|Description|Product)\b/i;
+
+/**
+ * UK postcode, e.g. SW1A 0AA or N1 9GU
+ */
+PDFParser.UK_POSTCODE = /\b[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}\b/i;
+
+/**
+ * Header fields that carry a confidence level, with their display labels
+ */
+PDFParser.CONFIDENCE_FIELDS = ['poNumber', 'customerCode', 'customerName', 'orderDate', 'deliveryDate'];
+
+PDFParser.FIELD_LABELS = {
+    poNumber: 'PO Number',
+    customerCode: 'Customer Code',
+    customerName: 'Customer Name',
+    orderDate: 'Order Date',
+    deliveryDate: 'Delivery Date'
+};
+
+/**
+ * Fields an order can't be approved without, unless a reviewer confirms them
+ */
+PDFParser.MANDATORY_FIELDS = ['poNumber', 'customerCode', 'deliveryDate'];
+
+/**
+ * Header fields that are missing or low confidence and haven't been confirmed by a reviewer
+ * @returns {Array} [{ field, label, level, rule, mandatory }]
+ */
+PDFParser.getFieldsNeedingAttention = (order) => {
+    const confidence = order.fieldConfidence || {};
+    
+    return PDFParser.CONFIDENCE_FIELDS
+        .filter(field => confidence[field] && !confidence[field].confirmed &&
+            (confidence[field].level === 'missing' || confidence[field].level === 'low'))
+        .map(field => ({
+            field: field,
+            label: PDFParser.FIELD_LABELS[field],
+            level: confidence[field].level,
+            rule: confidence[field].rule,
+            mandatory: PDFParser.MANDATORY_FIELDS.includes(field)
+        }));
+};
+
 // Export for use in other modules
 window.PDFParser = PDFParser;
@@ -0,0 +1,272 @@
+/**
+ * Price List Engine Module
+ * Prices order lines that carry no price (picking notes) from the customer's price list,
+ * using the price that was in effect on the order's delivery date, and checks printed
+ * prices against the agreed list
+ */
+
+class PriceListEngine {
+    constructor(options = {}) {
+        this.priceListCache = new Map();
+        this.tolerancePercent = options.tolerancePercent !== undefined ? options.tolerancePercent : PriceListEngine.TOLERANCE_PERCENT;
+    }
+
+    /**
+     * Set price list cache (see FirebaseConfig.loadCustomerPricesFromFirestore)
+     */
+    setPriceListCache(cache) {
+        this.priceListCache = cache;
+    }
+
+    /**
+     * Apply the pricing settings saved on the settings page
+     */
+    setPricingSettings(settings = {}) {
+        const tolerance = parseFloat(settings.priceTolerancePercent);
+        this.tolerancePercent = isNaN(tolerance) ? PriceListEngine.TOLERANCE_PERCENT : tolerance;
+    }
+
+    /**
+     * Find a customer's price for a SKU on a date
+     * @param {string} date - DD/MM/YYYY
+     * @returns {Object|null} { sku, price, effectiveFrom, effectiveTo } - dates are YYYY-MM-DD
+     */
+    findPrice(customerCode, sku, date) {
+        if (!customerCode || !sku) return null;
+
+        const entries = this.priceListCache.get(PriceListEngine.cacheKey(customerCode, sku)) || [];
+        const day = this.toISODate(date);
+
+        // Entries are sorted newest first - the first one in effect on the day wins
+        return entries.find(entry =>
+            entry.effectiveFrom <= day && (!entry.effectiveTo || entry.effectiveTo >= day)
+        ) || null;
+    }
+
+    /**
+     * Price every line without a unit price from the customer's price list
+     * Run after reconciliation (so list prices aren't checked against themselves) and before conversions
+     * @param {Object} options - reprice: true to also re-price lines priced from the list before
+     *                           (e.g. after the reviewer corrects the customer code)
+     */
+    priceOrder(order, options = {}) {
+        const date = this.getPricingDate(order);
+        let priced = 0;
+        let unpriced = 0;
+
+        order.products.forEach(product => {
+            const needsPrice = !(product.unitPrice > 0) || (options.reprice && product.priceSource);
+            if (!needsPrice) return;
+
+            if (this.priceProduct(product, order.customerCode, date)) {
+                priced++;
+            } else {
+                unpriced++;
+            }
+        });
+
+        if (priced === 0 && unpriced === 0) return order;
+
+        order.total = order.products.reduce((sum, product) => sum + product.netPrice, 0);
+        order.pricing = { date: date, priced: priced, unpriced: unpriced };
+
+        if (unpriced > 0) {
+            console.warn(`⚠️ ${order.filename}: ${unpriced} line(s) not in ${order.customerCode || 'the customer'}'s price list`);
+        }
+        console.log(`💷 ${order.filename}: ${priced} line(s) priced from the price list for ${date}`);
+
+        return order;
+    }
+
+    /**
+     * Price one line - falls back to the SKU as printed when catalog lookup changed it
+     * @returns {boolean} Whether a price was found
+     */
+    priceProduct(product, customerCode, date) {
+        const match = this.findPrice(customerCode, product.productCode, date) ||
+            (product.originalProductCode ? this.findPrice(customerCode, product.originalProductCode, date) : null);
+
+        const quantity = product.originalQuantity || product.quantity;
+        const issue = 'Not in price list';
+
+        if (!match) {
+            product.unitPrice = 0;
+            product.originalUnitPrice = 0;
+            product.netPrice = 0;
+            product.priceSource = {
+                type: 'unpriced',
+                reason: customerCode ? `${product.productCode} is not in ${customerCode}'s price list for ${date}` : 'No customer code to look up a price list'
+            };
+            if (product.confidence && !product.confidence.issues.includes(issue)) {
+                product.confidence.issues.push(issue);
+                product.confidence.level = 'low';
+                product.confidence.confirmed = false;
+            }
+            return false;
+        }
+
+        product.unitPrice = match.price;
+        product.originalUnitPrice = match.price;
+        product.netPrice = Math.round(quantity * match.price * 100) / 100;
+        product.priceSource = {
+            type: 'price-list',
+            customerCode: customerCode.toUpperCase(),
+            sku: match.sku,
+            effectiveFrom: match.effectiveFrom
+        };
+        if (product.confidence) {
+            product.confidence.issues = product.confidence.issues.filter(i => i !== issue);
+        }
+        return true;
+    }
+
+    /**
+     * Check the prices printed on the order against the customer's agreed prices
+     * Lines priced from the list are skipped; a decision already made on a line is kept while its prices are unchanged
+     * @returns {Array} Lines switched back from an outdated list price to the PO price (conversions need re-applying)
+     */
+    validateOrder(order) {
+        const date = this.getPricingDate(order);
+        const reverted = [];
+        let mismatches = 0;
+
+        order.products.forEach(product => {
+            if (product.priceSource) {
+                delete product.priceCheck;
+                return;
+            }
+
+            const check = this.checkLinePrice(product, order.customerCode, date);
+            const previous = product.priceCheck;
+            if (check && previous && previous.decision && previous.listPrice === check.listPrice && previous.poPrice === check.poPrice) {
+                check.decision = previous.decision;
+            } else if (previous && previous.decision === 'override' && this.applyPriceDecision(product, 'accept')) {
+                // The list price used no longer applies (new SKU, customer or date) - start again from the PO price
+                reverted.push(product);
+            }
+
+            if (check) {
+                product.priceCheck = check;
+                if (check.status === 'mismatch') mismatches++;
+            } else {
+                delete product.priceCheck;
+            }
+        });
+
+        if (mismatches > 0) {
+            console.warn(`⚠️ ${order.filename}: ${mismatches} line(s) differ from ${order.customerCode}'s price list by more than ${this.tolerancePercent}%`);
+        }
+
+        return reverted;
+    }
+
+    /**
+     * Compare one line's printed unit price (before any kg → each conversion) with the list price
+     * @returns {Object|null} { status: 'ok' | 'mismatch', poPrice, listPrice, difference, effectiveFrom, decision } -
+     *                        null when the SKU isn't on the customer's list
+     */
+    checkLinePrice(product, customerCode, date) {
+        const poPrice = product.priceCheck ? product.priceCheck.poPrice : (product.originalUnitPrice || product.unitPrice);
+        if (!(poPrice > 0)) return null;
+
+        const match = this.findPrice(customerCode, product.productCode, date) ||
+            (product.originalProductCode ? this.findPrice(customerCode, product.originalProductCode, date) : null);
+        if (!match) return null;
+
+        const difference = Math.round((poPrice - match.price) * 100) / 100;
+        const allowed = match.price * this.tolerancePercent / 100;
+
+        return {
+            status: Math.abs(difference) > allowed ? 'mismatch' : 'ok',
+            poPrice: poPrice,
+            listPrice: match.price,
+            difference: difference,
+            effectiveFrom: match.effectiveFrom,
+            decision: null
+        };
+    }
+
+    /**
+     * Record the reviewer's decision on a price mismatch and set the line's price to match
+     * @param {string} decision - 'accept' keeps the PO price, 'override' uses the list price
+     * @returns {boolean} Whether the line's price changed (conversions need re-applying)
+     */
+    applyPriceDecision(product, decision) {
+        const check = product.priceCheck;
+        if (!check || check.status !== 'mismatch') return false;
+
+        const price = decision === 'override' ? check.listPrice : check.poPrice;
+        const quantity = product.originalQuantity || product.quantity;
+
+        check.decision = decision;
+        if ((product.originalUnitPrice || product.unitPrice) === price) return false;
+
+        product.unitPrice = price;
+        product.originalUnitPrice = price;
+        product.netPrice = Math.round(quantity * price * 100) / 100;
+
+        return true;
+    }
+
+    /**
+     * Lines whose price differs from the list with no decision yet
+     */
+    getUndecidedPriceMismatches(order) {
+        return order.products.filter(product =>
+            product.priceCheck && product.priceCheck.status === 'mismatch' && !product.priceCheck.decision
+        );
+    }
+
+    /**
+     * Describe a price mismatch for the review table and export checks
+     */
+    describePriceCheck(product) {
+        const check = product.priceCheck;
+        const difference = `${check.difference > 0 ? '+' : '-'}£${Math.abs(check.difference).toFixed(2)}`;
+        return `PO £${check.poPrice.toFixed(2)}, list £${check.listPrice.toFixed(2)} from ${this.formatDate(check.effectiveFrom)} (${difference})`;
+    }
+
+    /**
+     * Describe where a line's price came from, for the review table
+     */
+    describePriceSource(product) {
+        const source = product.priceSource;
+        if (!source) return '';
+        if (source.type === 'unpriced') return source.reason;
+        return `${source.customerCode} price list from ${this.formatDate(source.effectiveFrom)}`;
+    }
+
+    /**
+     * Prices apply on the delivery date, then the order date, then today
+     */
+    getPricingDate(order) {
+        if (/^\d{2}\/\d{2}\/\d{4}$/.test(order.deliveryDate || '')) return order.deliveryDate;
+        if (/^\d{2}\/\d{2}\/\d{4}$/.test(order.orderDate || '')) return order.orderDate;
+
+        const today = new Date();
+        return `${String(today.getDate()).padStart(2, '0')}/${String(today.getMonth() + 1).padStart(2, '0')}/${today.getFullYear()}`;
+    }
+
+    toISODate(date) {
+        const [day, month, year] = date.split('/');
+        return `${year}-${month}-${day}`;
+    }
+
+    formatDate(isoDate) {
+        const [year, month, day] = isoDate.split('-');
+        return `${day}/${month}/${year}`;
+    }
+}
+
+/**
+ * Largest difference (% of the list price) allowed between a printed price and the agreed price
+ */
+PriceListEngine.TOLERANCE_PERCENT = 0;
+
+/**
+ * Cache key for a customer's SKU
+ */
+PriceListEngine.cacheKey = (customerCode, sku) => `${String(customerCode).toUpperCase()}|${String(sku).toUpperCase()}`;
+
+// Export for use in other modules
+window.PriceListEngine = PriceListEngine;
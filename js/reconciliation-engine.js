@@ -0,0 +1,159 @@
+/**
+ * Reconciliation Engine Module
+ * Checks the arithmetic printed on the order: quantity × unit price against each line's
+ * net price, and the sum of the lines against the document's printed total
+ */
+
+class ReconciliationEngine {
+    constructor(options = {}) {
+        this.lineTolerance = options.lineTolerance !== undefined ? options.lineTolerance : ReconciliationEngine.LINE_TOLERANCE;
+        this.totalTolerance = options.totalTolerance !== undefined ? options.totalTolerance : ReconciliationEngine.TOTAL_TOLERANCE;
+    }
+
+    /**
+     * Reconcile every line and the order total
+     * Run before conversions - the printed prices are kept on each line so later edits can be re-checked
+     */
+    reconcileOrder(order) {
+        order.products.forEach(product => {
+            if (product.printedNetPrice === undefined) {
+                product.printedNetPrice = product.netPrice;
+            }
+            if (product.printedUnitPrice === undefined) {
+                product.printedUnitPrice = product.originalUnitPrice || product.unitPrice;
+            }
+            product.reconciliation = this.reconcileLine(product);
+        });
+
+        order.reconciliation = this.reconcileTotal(order);
+
+        const mismatches = order.products.filter(p => p.reconciliation.status === 'mismatch').length;
+        if (mismatches > 0 || order.reconciliation.status === 'mismatch') {
+            console.warn(`⚠️ ${order.filename}: ${mismatches} line(s) don't add up, order total ${order.reconciliation.status}`);
+        }
+
+        return order;
+    }
+
+    /**
+     * Check quantity × unit price against the printed net price of one line
+     * Uses the quantity as parsed (before any kg → each conversion) and the printed price, even if
+     * the reviewer has since switched the line to the list price
+     * @returns {Object} { status: 'ok' | 'mismatch' | 'unchecked', expected, printed, difference }
+     */
+    reconcileLine(product) {
+        const quantity = product.originalQuantity || product.quantity;
+        const unitPrice = this.getPrintedUnitPrice(product);
+        const printed = product.printedNetPrice;
+
+        if (!(quantity > 0) || !(unitPrice > 0) || !(printed > 0)) {
+            return { status: 'unchecked', expected: null, printed: printed || null, difference: 0 };
+        }
+
+        const expected = this.roundCurrency(quantity * unitPrice);
+        const difference = this.roundCurrency(printed - expected);
+
+        return {
+            status: Math.abs(difference) > this.lineTolerance ? 'mismatch' : 'ok',
+            expected: expected,
+            printed: printed,
+            difference: difference
+        };
+    }
+
+    /**
+     * Check the sum of the printed line net prices against the printed document total
+     * @returns {Object} { status: 'ok' | 'mismatch' | 'unchecked', lineSum, printedTotal, difference }
+     */
+    reconcileTotal(order) {
+        const lineSum = this.roundCurrency(order.products.reduce((sum, product) => {
+            const net = product.printedNetPrice !== undefined ? product.printedNetPrice : product.netPrice;
+            return sum + (net || 0);
+        }, 0));
+
+        if (!(order.printedTotal > 0) || lineSum === 0) {
+            return { status: 'unchecked', lineSum: lineSum, printedTotal: order.printedTotal || null, difference: 0 };
+        }
+
+        const difference = this.roundCurrency(order.printedTotal - lineSum);
+
+        return {
+            status: Math.abs(difference) > this.totalTolerance ? 'mismatch' : 'ok',
+            lineSum: lineSum,
+            printedTotal: order.printedTotal,
+            difference: difference
+        };
+    }
+
+    /**
+     * Describe a line discrepancy for the review table and export warnings
+     */
+    describeLine(product) {
+        const r = product.reconciliation;
+        const quantity = product.originalQuantity || product.quantity;
+        const unitPrice = this.getPrintedUnitPrice(product);
+        return `${quantity} × £${unitPrice.toFixed(2)} = £${r.expected.toFixed(2)}, PDF says £${r.printed.toFixed(2)} (${this.formatDifference(r.difference)})`;
+    }
+
+    /**
+     * Describe an order total discrepancy
+     */
+    describeTotal(order) {
+        const r = order.reconciliation;
+        return `Lines add up to £${r.lineSum.toFixed(2)}, PDF total is £${r.printedTotal.toFixed(2)} (${this.formatDifference(r.difference)})`;
+    }
+
+    getPrintedUnitPrice(product) {
+        return product.printedUnitPrice !== undefined ? product.printedUnitPrice : (product.originalUnitPrice || product.unitPrice);
+    }
+
+    formatDifference(difference) {
+        return `${difference > 0 ? '+' : '-'}£${Math.abs(difference).toFixed(2)}`;
+    }
+
+    roundCurrency(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Get reconciliation warnings for export validation, alongside the conversion warnings
+     */
+    getReconciliationWarnings(orders) {
+        const warnings = [];
+
+        orders.forEach(order => {
+            order.products.forEach(product => {
+                if (product.reconciliation && product.reconciliation.status === 'mismatch') {
+                    warnings.push({
+                        productCode: product.productCode,
+                        filename: order.filename,
+                        warning: this.describeLine(product)
+                    });
+                }
+            });
+
+            if (order.reconciliation && order.reconciliation.status === 'mismatch') {
+                warnings.push({
+                    productCode: null,
+                    filename: order.filename,
+                    warning: this.describeTotal(order)
+                });
+            }
+        });
+
+        return warnings;
+    }
+}
+
+/**
+ * Largest difference (£) allowed between quantity × unit price and a line's net price
+ */
+ReconciliationEngine.LINE_TOLERANCE = 0.02;
+
+/**
+ * Largest difference (£) allowed between the summed lines and the printed total
+ */
+ReconciliationEngine.TOTAL_TOLERANCE = 0.05;
+
+// Export for use in other modules
+window.ReconciliationEngine = ReconciliationEngine;
@@ -0,0 +1,469 @@
+/**
+ * Spreadsheet Parser Module
+ * Reads .xlsx / .xls / .csv purchase orders with SheetJS and builds the same order object
+ * as PDFParser, using per-customer column mappings stored in Firestore
+ */
+
+class SpreadsheetParser {
+    /**
+     * @param {PDFParser} pdfParser - Supplies catalog enhancement and confidence recording
+     */
+    constructor(pdfParser = null) {
+        this.pdfParser = pdfParser;
+        this.mappings = [];
+    }
+
+    /**
+     * Check whether a file is a spreadsheet order
+     */
+    isSpreadsheetFile(file) {
+        return SpreadsheetParser.EXTENSIONS.some(extension => file.name.toLowerCase().endsWith(extension));
+    }
+
+    /**
+     * Replace the column mappings with a fresh set of definitions (disabled or invalid ones are skipped)
+     */
+    setMappings(definitions = []) {
+        this.mappings = definitions.filter(definition => {
+            if (definition.active === false) return false;
+
+            const errors = SpreadsheetParser.validate(definition);
+            if (errors.length > 0) {
+                console.error(`❌ Skipping spreadsheet mapping ${definition.mappingId}: ${errors.join('; ')}`);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Check a mapping before it is saved or used
+     * @returns {Array} Error messages - empty when the mapping is usable
+     */
+    static validate(definition) {
+        const errors = [];
+
+        if (!definition || !definition.mappingId || !/^[a-z0-9-]+$/.test(definition.mappingId)) {
+            errors.push('Mapping ID must use lowercase letters, numbers and dashes only');
+        }
+        if (!definition || (!definition.customerCode && !definition.customerName)) {
+            errors.push('Customer code or name is required');
+        }
+        if (definition && definition.filenamePattern) {
+            try {
+                DeclarativeTemplate.compilePattern(definition.filenamePattern);
+            } catch (error) {
+                errors.push(`Filename pattern: ${error.message}`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Read a spreadsheet order
+     * @param {File} file - .xlsx, .xls or .csv file
+     * @returns {Object} Parsed order data, shaped like PDFParser.processPDF
+     */
+    async processSpreadsheet(file) {
+        const workbook = await this.readWorkbook(file);
+        const detection = this.detectMapping(workbook, file);
+
+        let order;
+        if (detection.status === 'unknown') {
+            console.warn(`⚠️ ${file.name}: no product header row found`);
+            order = this.pdfParser.createUnknownOrder(file.name);
+        } else {
+            console.log(`📑 ${file.name}: ${detection.templateName} (score ${detection.score})`);
+            order = await this.parseSheet(detection, file.name);
+        }
+
+        this.pdfParser.assessConfidence(order, {
+            pricesExpected: detection.columns ? detection.columns.some(column => column.key === 'price') : true
+        });
+
+        order.templateDetection = {
+            status: detection.status,
+            templateId: detection.templateId,
+            templateName: detection.templateName,
+            score: detection.score,
+            reasons: detection.reasons,
+            candidates: detection.candidates
+        };
+
+        order.sourceType = 'spreadsheet';
+        order.sheetName = detection.sheet ? detection.sheet.sheetName : workbook.SheetNames[0];
+        return order;
+    }
+
+    /**
+     * Load a workbook - CSV cells are kept as text so dates and codes aren't reinterpreted
+     */
+    async readWorkbook(file) {
+        if (file.name.toLowerCase().endsWith('.csv')) {
+            const text = (await file.text()).replace(/^\uFEFF/, '');
+            return XLSX.read(text, { type: 'string', raw: true });
+        }
+
+        return XLSX.read(await file.arrayBuffer(), { type: 'array', cellDates: true });
+    }
+
+    /**
+     * Cell values of one sheet (the first sheet when no name is given or it doesn't exist)
+     * @returns {Object} { sheetName, rows, firstRow, firstColumn } - rows are arrays of cell values,
+     *                   firstRow / firstColumn are the 0-based sheet position of rows[0][0]
+     */
+    getSheet(workbook, sheetName = '') {
+        const name = sheetName && workbook.SheetNames.includes(sheetName) ? sheetName : workbook.SheetNames[0];
+        const sheet = workbook.Sheets[name];
+        const range = sheet['!ref'] ? XLSX.utils.decode_range(sheet['!ref']) : { s: { r: 0, c: 0 } };
+
+        return {
+            sheetName: name,
+            rows: XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '', blankrows: true }),
+            firstRow: range.s.r,
+            firstColumn: range.s.c
+        };
+    }
+
+    /**
+     * Pick the mapping for a sheet
+     * A customer mapping needs its header row in the sheet and something specific to that customer -
+     * its own column labels, a filename match or the sender of the email the file came in
+     * @returns {Object} { status, mapping, templateId, templateName, score, reasons, candidates, sheet, header, columns }
+     */
+    detectMapping(workbook, file) {
+        const sender = file.emailSource && this.pdfParser && this.pdfParser.firebaseConfig
+            ? this.pdfParser.firebaseConfig.findCustomerByEmail(file.emailSource.fromAddress)
+            : null;
+
+        const candidates = this.mappings.map(mapping => {
+            const sheet = this.getSheet(workbook, mapping.sheetName);
+            const header = this.findHeaderRow(sheet.rows, mapping.columns);
+            const reasons = [];
+            let score = 0;
+
+            if (header) {
+                const customColumns = header.columns.filter(column => column.custom);
+                if (customColumns.length > 0) {
+                    score += customColumns.length * SpreadsheetParser.COLUMN_WEIGHT;
+                    reasons.push(`Column labels ${customColumns.map(column => `"${column.label}"`).join(', ')}`);
+                }
+                if (mapping.filenamePattern && DeclarativeTemplate.compilePattern(mapping.filenamePattern).test(file.name)) {
+                    score += SpreadsheetParser.FILENAME_WEIGHT;
+                    reasons.push('Filename pattern');
+                }
+                if (sender && mapping.customerCode && sender.customerCode.toUpperCase() === mapping.customerCode.toUpperCase()) {
+                    score += SpreadsheetParser.SENDER_WEIGHT;
+                    reasons.push(`Sender ${file.emailSource.fromAddress}`);
+                }
+            }
+
+            return { mapping, sheet, header, score, reasons };
+        }).filter(candidate => candidate.header && candidate.score > 0)
+            .sort((a, b) => b.score - a.score);
+
+        const summary = candidates.map(c => ({ templateId: c.mapping.mappingId, score: c.score }));
+        const best = candidates[0];
+        if (best) {
+            return {
+                status: 'matched',
+                mapping: best.mapping,
+                templateId: best.mapping.mappingId,
+                templateName: `Spreadsheet - ${best.mapping.customerName || best.mapping.customerCode}`,
+                score: best.score,
+                reasons: best.reasons,
+                candidates: summary,
+                sheet: best.sheet,
+                header: best.header,
+                columns: best.header.columns
+            };
+        }
+
+        // No customer mapping - fall back to the standard column labels
+        const sheet = this.getSheet(workbook);
+        const header = this.findHeaderRow(sheet.rows);
+        if (!header) {
+            return {
+                status: 'unknown',
+                mapping: null,
+                templateId: null,
+                templateName: 'Unknown',
+                score: 0,
+                reasons: ['No header row with product code and quantity columns - add a spreadsheet mapping in settings'],
+                candidates: summary,
+                sheet: sheet,
+                header: null,
+                columns: null
+            };
+        }
+
+        return {
+            status: 'matched',
+            mapping: null,
+            templateId: 'spreadsheet',
+            templateName: 'Spreadsheet',
+            score: 0,
+            reasons: [`Standard column labels in row ${sheet.firstRow + header.index + 1}`],
+            candidates: summary,
+            sheet: sheet,
+            header: header,
+            columns: header.columns
+        };
+    }
+
+    /**
+     * Find the product header row: the first row with product code and quantity columns
+     * @param {Object} customColumns - Mapping column labels by LayoutEngine column key
+     * @returns {Object|null} { index, columns: [{ key, index, label, custom }] }
+     */
+    findHeaderRow(rows, customColumns = {}) {
+        const limit = Math.min(rows.length, SpreadsheetParser.HEADER_SEARCH_ROWS);
+
+        for (let i = 0; i < limit; i++) {
+            const columns = [];
+
+            rows[i].forEach((cell, index) => {
+                const label = LayoutEngine.normalizeLabel(this.cellText(cell));
+                if (!label) return;
+
+                const key = Object.keys(LayoutEngine.DEFAULT_COLUMNS).find(columnKey =>
+                    ((customColumns && customColumns[columnKey]) || []).some(custom => LayoutEngine.normalizeLabel(custom) === label)
+                );
+                if (key) {
+                    columns.push({ key, index, label: this.cellText(cell), custom: true });
+                    return;
+                }
+
+                const defaultKey = Object.keys(LayoutEngine.DEFAULT_COLUMNS).find(columnKey =>
+                    LayoutEngine.DEFAULT_COLUMNS[columnKey].includes(label)
+                );
+                if (defaultKey) {
+                    columns.push({ key: defaultKey, index, label: this.cellText(cell), custom: false });
+                }
+            });
+
+            // One column per field - a mapping's own label beats a standard one, then the left-most
+            const unique = Object.keys(LayoutEngine.DEFAULT_COLUMNS)
+                .map(key => columns.find(c => c.key === key && c.custom) || columns.find(c => c.key === key))
+                .filter(column => column);
+
+            if (unique.some(c => c.key === 'code') && unique.some(c => c.key === 'quantity')) {
+                return { index: i, columns: unique };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Build the order from the chosen sheet and header row
+     */
+    async parseSheet(detection, filename) {
+        const { mapping, sheet, header, columns } = detection;
+        const order = {
+            filename: filename,
+            type: detection.templateName,
+            customerCode: '',
+            customerName: '',
+            poNumber: '',
+            orderDate: '',
+            deliveryDate: '',
+            products: [],
+            total: 0
+        };
+
+        const dateFormat = (mapping && mapping.dateFormat) || DeclarativeTemplate.DEFAULT_DATE_FORMAT;
+        const fieldLabels = (mapping && mapping.fields) || {};
+
+        DeclarativeTemplate.HEADER_FIELDS.forEach(field => {
+            const labels = [
+                ...String(fieldLabels[field] || '').split(',').map(label => LayoutEngine.normalizeLabel(label)).filter(label => label),
+                ...SpreadsheetParser.DEFAULT_FIELD_LABELS[field]
+            ];
+            const found = this.findFieldValue(sheet, header, labels);
+            if (!found) return;
+
+            order[field] = field.endsWith('Date') ? this.formatDate(found.value, dateFormat) : this.cellText(found.value);
+            this.pdfParser.recordField(order, field, `"${found.label}" cell`, 'high', found.region);
+        });
+
+        // The mapping names the customer when the sheet doesn't
+        if (mapping) {
+            ['customerCode', 'customerName'].forEach(field => {
+                if (!order[field] && mapping[field]) {
+                    order[field] = mapping[field];
+                    this.pdfParser.recordField(order, field, `Spreadsheet mapping ${mapping.mappingId}`, 'high');
+                }
+            });
+        }
+
+        const { products, printedTotal } = this.extractProducts(sheet, header.index, columns);
+        for (const product of products) {
+            const enhancedProduct = await this.pdfParser.enhanceProductWithCatalog(product);
+            order.products.push(enhancedProduct);
+            order.total += enhancedProduct.netPrice;
+        }
+
+        if (printedTotal > 0) {
+            order.printedTotal = printedTotal;
+        }
+
+        console.log(`📑 ${detection.templateName} parsed: ${order.products.length} products`);
+        return order;
+    }
+
+    /**
+     * Read the product rows below the header, stopping at a totals / notes row
+     * @returns {Object} { products, printedTotal } - printedTotal is null when there's no totals row
+     */
+    extractProducts(sheet, headerIndex, columns) {
+        const products = [];
+        let printedTotal = null;
+        const cellFor = (row, key) => {
+            const column = columns.find(c => c.key === key);
+            return column ? row[column.index] : '';
+        };
+
+        for (let i = headerIndex + 1; i < sheet.rows.length; i++) {
+            const row = sheet.rows[i];
+            const firstText = this.cellText(row.find(cell => this.cellText(cell) !== '') || '');
+            if (!firstText) continue;
+
+            if (LayoutEngine.TABLE_END_PATTERN.test(firstText)) {
+                const numbers = row.map(cell => this.pdfParser.parseNumber(cell)).filter(value => value > 0);
+                if (numbers.length > 0) printedTotal = numbers[numbers.length - 1];
+                break;
+            }
+
+            const productCode = this.cellText(cellFor(row, 'code'));
+            const quantity = this.pdfParser.parseNumber(cellFor(row, 'quantity'));
+            if (!productCode || !(quantity > 0)) continue;
+
+            const unitPrice = this.pdfParser.parseNumber(cellFor(row, 'price')) || 0;
+            const netPrice = columns.some(c => c.key === 'net')
+                ? this.pdfParser.parseNumber(cellFor(row, 'net')) || 0
+                : Math.round(quantity * unitPrice * 100) / 100;
+
+            const product = {
+                quantity: quantity,
+                description: this.cellText(cellFor(row, 'description')),
+                productCode: productCode,
+                caseSize: this.cellText(cellFor(row, 'pack')) || 'Each',
+                unitPrice: unitPrice,
+                netPrice: netPrice,
+                sourceRegion: { sheetName: sheet.sheetName, rowIndex: i, columnIndex: null }
+            };
+
+            products.push(this.pdfParser.recordProduct(product, `Spreadsheet row ${sheet.firstRow + i + 1}`));
+        }
+
+        return { products, printedTotal };
+    }
+
+    /**
+     * Find a labelled value: a column in the header row (value from the first product row),
+     * the cell to the right of / below a label above the table, or "Label: value" in one cell
+     * @returns {Object|null} { value, label, region }
+     */
+    findFieldValue(sheet, header, labels) {
+        const region = (rowIndex, columnIndex) => ({ sheetName: sheet.sheetName, rowIndex, columnIndex });
+        const matchLabel = (cell) => {
+            const text = LayoutEngine.normalizeLabel(this.cellText(cell));
+            return labels.find(label => text === label) || null;
+        };
+
+        // Per-line column, e.g. a PO Number repeated on every CSV row
+        const headerRow = sheet.rows[header.index];
+        for (let c = 0; c < headerRow.length; c++) {
+            if (header.columns.some(column => column.index === c) || !matchLabel(headerRow[c])) continue;
+
+            const firstRow = sheet.rows.slice(header.index + 1).find(row => this.cellText(row[c]) !== '');
+            if (firstRow) {
+                return { value: firstRow[c], label: this.cellText(headerRow[c]), region: region(sheet.rows.indexOf(firstRow), c) };
+            }
+        }
+
+        for (let r = 0; r < header.index; r++) {
+            const row = sheet.rows[r];
+            for (let c = 0; c < row.length; c++) {
+                const text = this.cellText(row[c]);
+                if (!text) continue;
+
+                if (matchLabel(row[c])) {
+                    const rightIndex = row.findIndex((cell, index) => index > c && this.cellText(cell) !== '');
+                    if (rightIndex !== -1) {
+                        return { value: row[rightIndex], label: text, region: region(r, rightIndex) };
+                    }
+                    const below = sheet.rows[r + 1];
+                    if (below && this.cellText(below[c]) !== '' && r + 1 < header.index) {
+                        return { value: below[c], label: text, region: region(r + 1, c) };
+                    }
+                    continue;
+                }
+
+                const inline = text.match(/^([^:]+):\s*(.+)$/);
+                if (inline && labels.includes(LayoutEngine.normalizeLabel(inline[1]))) {
+                    return { value: inline[2], label: inline[1].trim(), region: region(r, c) };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Convert a date cell to DD/MM/YYYY - real dates from .xlsx, or text in the mapping's format
+     */
+    formatDate(value, format) {
+        if (value instanceof Date && !isNaN(value.getTime())) {
+            return `${String(value.getDate()).padStart(2, '0')}/${String(value.getMonth() + 1).padStart(2, '0')}/${value.getFullYear()}`;
+        }
+
+        const text = this.cellText(value);
+        const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+        if (iso && format !== 'YYYY-MM-DD') {
+            return `${iso[3]}/${iso[2]}/${iso[1]}`;
+        }
+
+        return DeclarativeTemplate.normalizeDate(text, format);
+    }
+
+    cellText(value) {
+        if (value === undefined || value === null) return '';
+        if (value instanceof Date) return this.formatDate(value);
+        return String(value).trim();
+    }
+}
+
+/**
+ * File types read as spreadsheet orders
+ */
+SpreadsheetParser.EXTENSIONS = ['.xlsx', '.xls', '.csv'];
+
+/**
+ * Rows searched for the product header
+ */
+SpreadsheetParser.HEADER_SEARCH_ROWS = 50;
+
+/**
+ * Mapping scores: each of the customer's own column labels, a filename match, and an email
+ * sender belonging to the mapping's customer
+ */
+SpreadsheetParser.COLUMN_WEIGHT = 10;
+SpreadsheetParser.FILENAME_WEIGHT = 40;
+SpreadsheetParser.SENDER_WEIGHT = 40;
+
+/**
+ * Header field labels recognised without a mapping (lowercase, punctuation stripped)
+ */
+SpreadsheetParser.DEFAULT_FIELD_LABELS = {
+    poNumber: ['po number', 'po no', 'po', 'purchase order', 'purchase order number', 'order number', 'order no', 'order ref'],
+    customerCode: ['account no', 'account number', 'account', 'account code', 'customer code'],
+    customerName: ['customer name', 'customer', 'deliver to', 'ship to'],
+    orderDate: ['order date', 'date ordered', 'date'],
+    deliveryDate: ['delivery date', 'required date', 'required by', 'deliver on', 'delivery']
+};
+
+// Export for use in other modules
+window.SpreadsheetParser = SpreadsheetParser;
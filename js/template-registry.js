@@ -0,0 +1,118 @@
+/**
+ * Template Registry Module
+ * Holds the order templates PDFParser can read. Each template declares the signals
+ * that identify it and the parser that reads it; every template scores each PDF
+ * and the best match wins
+ */
+
+class TemplateRegistry {
+    constructor() {
+        this.templates = new Map();
+        this.minimumScore = TemplateRegistry.MINIMUM_SCORE;
+    }
+
+    /**
+     * Register (or replace) a template
+     * @param {Object} template - { id, name, signals: [{ pattern | test, weight, description }], parse(layout, filename) }
+     *                            plus optional pricesExpected: false for layouts without prices
+     */
+    register(template) {
+        if (!template || !template.id || !template.name) {
+            throw new Error('Template needs an id and a name');
+        }
+        if (!Array.isArray(template.signals) || template.signals.length === 0) {
+            throw new Error(`Template ${template.id} needs at least one detection signal`);
+        }
+        if (typeof template.parse !== 'function') {
+            throw new Error(`Template ${template.id} needs a parse function`);
+        }
+
+        this.templates.set(template.id, template);
+        console.log(`🧩 Registered template: ${template.name} (${template.id})`);
+    }
+
+    unregister(templateId) {
+        return this.templates.delete(templateId);
+    }
+
+    get(templateId) {
+        return this.templates.get(templateId) || null;
+    }
+
+    getAll() {
+        return Array.from(this.templates.values());
+    }
+
+    /**
+     * Score a single template against a PDF layout
+     * Signals either test a regex against the layout text or run a test(layout) function
+     */
+    scoreTemplate(template, layout) {
+        let score = 0;
+        const reasons = [];
+
+        template.signals.forEach(signal => {
+            let matched = false;
+            try {
+                matched = signal.test ? !!signal.test(layout) : layout.text.search(signal.pattern) !== -1;
+            } catch (error) {
+                console.error(`❌ Signal "${signal.description}" failed for ${template.id}:`, error);
+            }
+
+            if (matched) {
+                score += signal.weight;
+                reasons.push(`${signal.description} (${signal.weight > 0 ? '+' : ''}${signal.weight})`);
+            }
+        });
+
+        return {
+            templateId: template.id,
+            templateName: template.name,
+            score: score,
+            reasons: reasons
+        };
+    }
+
+    /**
+     * Score every registered template and pick the best match
+     * @returns {Object} { status: 'matched' | 'unknown', template, templateId, templateName, score, reasons, candidates }
+     */
+    detect(layout) {
+        const candidates = this.getAll()
+            .map(template => this.scoreTemplate(template, layout))
+            .sort((a, b) => b.score - a.score);
+
+        console.log('🧩 Template scores:', candidates.map(c => `${c.templateId}=${c.score}`).join(', '));
+
+        const best = candidates[0];
+        if (!best || best.score < this.minimumScore) {
+            return {
+                status: 'unknown',
+                template: null,
+                templateId: null,
+                templateName: 'Unknown',
+                score: best ? best.score : 0,
+                reasons: [`No template reached the minimum score of ${this.minimumScore}`],
+                candidates: candidates
+            };
+        }
+
+        return {
+            status: 'matched',
+            template: this.get(best.templateId),
+            templateId: best.templateId,
+            templateName: best.templateName,
+            score: best.score,
+            reasons: best.reasons,
+            candidates: candidates
+        };
+    }
+}
+
+/**
+ * Lowest score a template needs before its parser is trusted with a PDF
+ */
+TemplateRegistry.MINIMUM_SCORE = 50;
+
+// Export for use in other modules
+window.TemplateRegistry = TemplateRegistry;
@@ -4,9 +4,12 @@
  */
 
 class UIManager {
-    constructor(conversionEngine) {
+    constructor(conversionEngine, reconciliationEngine, priceListEngine) {
         console.log('🔍 TEST: UIManager constructor running');
         this.conversionEngine = conversionEngine;
+        this.reconciliationEngine = reconciliationEngine;
+        this.priceListEngine = priceListEngine;
+        this.firebaseConfig = null;  // Customer master, for delivery address suggestions
         
         // State variables
         this.currentPDF = null;
@@ -18,6 +21,11 @@ class UIManager {
         this.isEditMode = false;
         this.hasUnsavedChanges = false;
         
+        // Source highlighting: the selected product row / header field and the rendered page it's drawn on
+        this.selectedSource = null;
+        this.currentViewport = null;
+        this.pageSnapshot = null;
+        
         // File management
         this.pdfFiles = [];
         this.currentFileIndex = 0;
@@ -26,11 +34,24 @@ class UIManager {
         // Initialize queue persistence
         this.queuePersistence = new QueuePersistence();
         
+        // Unpacks order attachments from dropped .eml files
+        this.emailParser = new EmailParser();
+        
+        // Reads spreadsheet orders for the review preview
+        this.spreadsheetParser = new SpreadsheetParser();
+        
         this.initializeEventListeners();
         console.log('🔍 TEST: About to call initializeQueuePersistence');
         this.initializeQueuePersistence();
     }
 
+    /**
+     * Connect the customer master, so parsed delivery addresses can be compared with it
+     */
+    setFirebaseConfig(firebaseConfig) {
+        this.firebaseConfig = firebaseConfig;
+    }
+
     /**
      * Initialize queue persistence functionality
      */
@@ -204,6 +225,10 @@ class UIManager {
         if (prevBtn) prevBtn.addEventListener('click', () => this.prevPage());
         if (nextBtn) nextBtn.addEventListener('click', () => this.nextPage());
         if (fitWidthBtn) fitWidthBtn.addEventListener('click', () => this.fitToWidth());
+        
+        // Clicking text on the page selects the product row it belongs to
+        const canvas = document.getElementById('pdfCanvas');
+        if (canvas) canvas.addEventListener('click', (e) => this.handleCanvasClick(e));
     }
 
     /**
@@ -233,10 +258,13 @@ class UIManager {
         window.saveChanges = () => this.saveChanges();
         window.markAsChanged = () => this.markAsChanged();
         window.updateProductField = (index, field, value) => this.updateProductField(index, field, value);
+        window.decideLinePrice = (index, decision) => this.decideLinePrice(index, decision);
 
         // PDF controls
         window.zoomIn = () => this.zoomIn();
         window.zoomOut = () => this.zoomOut();
+        window.goToPage = (pageNum) => this.goToPage(pageNum);
+        window.showFieldSource = (field) => this.selectField(field);
     }
 
     /**
@@ -251,20 +279,43 @@ class UIManager {
 
     /**
      * Add files to processing queue
+     * Saved emails (.eml) are unpacked here - each order attachment is queued with the email's details
      */
-    addFilesToQueue(files) {
-        const pdfFiles = files.filter(f => 
+    async addFilesToQueue(files) {
+        const orderFiles = files.filter(f => 
             f.type === 'application/pdf' || 
-            f.name.toLowerCase().endsWith('.pdf')
+            f.name.toLowerCase().endsWith('.pdf') ||
+            this.spreadsheetParser.isSpreadsheetFile(f)
         );
+        const emailFiles = files.filter(f => this.emailParser.isEmailFile(f));
         
-        if (pdfFiles.length === 0) {
-            alert('Please select PDF files only.');
+        if (orderFiles.length === 0 && emailFiles.length === 0) {
+            alert('Please select PDF, spreadsheet (.xlsx, .xls, .csv) or .eml files only.');
             return;
         }
         
+        const emailsWithoutOrders = [];
+        for (const emailFile of emailFiles) {
+            try {
+                const email = await this.emailParser.parseEmlFile(emailFile);
+                if (email.attachments.length === 0) {
+                    emailsWithoutOrders.push(emailFile.name);
+                }
+                orderFiles.push(...email.attachments);
+            } catch (error) {
+                console.error(`❌ Failed to read email ${emailFile.name}:`, error);
+                emailsWithoutOrders.push(emailFile.name);
+            }
+        }
+        
+        if (emailsWithoutOrders.length > 0) {
+            alert(`No PDF or spreadsheet attachments found in:\n${emailsWithoutOrders.join('\n')}`);
+        }
+        
+        if (orderFiles.length === 0) return;
+        
         // Add files to queue with unique IDs
-        pdfFiles.forEach(file => {
+        orderFiles.forEach(file => {
             const queueItem = {
                 id: Date.now() + Math.random(),
                 file: file,
@@ -310,10 +361,14 @@ class UIManager {
                 queueItemDiv.className = 'queue-item';
                 queueItemDiv.innerHTML = `
                     <div class="queue-item-info">
-                        <div class="queue-item-name">📄 ${queueItem.file.name}</div>
+                        <div class="queue-item-name">${this.spreadsheetParser.isSpreadsheetFile(queueItem.file) ? '📑' : '📄'} ${queueItem.file.name}</div>
                         <div class="queue-item-details">
                             ${this.formatFileSize(queueItem.file.size)} • Added ${this.formatTimeAgo(queueItem.addedAt)}
                         </div>
+                        ${queueItem.file.emailSource ? `
+                        <div class="queue-item-details queue-item-email">
+                            ✉️ ${this.escapeHtml(queueItem.file.emailSource.fromAddress || queueItem.file.emailSource.from || 'Unknown sender')} • ${this.escapeHtml(queueItem.file.emailSource.subject || '(no subject)')}
+                        </div>` : ''}
                     </div>
                     <div class="queue-item-actions">
                         <button class="btn-remove" onclick="removeFromQueue('${queueItem.id}')">
@@ -430,6 +485,12 @@ class UIManager {
         const pdfFile = this.pdfFiles[index];
         if (!pdfFile) return;
         
+        if (pdfFile.order.sourceType === 'spreadsheet') {
+            await this.loadSpreadsheetForViewing(pdfFile);
+            return;
+        }
+        this.showSheetPreview(false);
+        
         try {
             if (!pdfFile.pdf) {
                 const arrayBuffer = await pdfFile.file.arrayBuffer();
@@ -439,6 +500,7 @@ class UIManager {
             this.currentPDF = pdfFile.pdf;
             this.totalPages = this.currentPDF.numPages;
             this.currentPage = 1;
+            this.selectedSource = null;
             
             // Update filename display
             const currentFileName = document.getElementById('currentFileName');
@@ -474,6 +536,104 @@ class UIManager {
         }
     }
 
+    /**
+     * Show a spreadsheet order's sheet in place of the PDF page
+     */
+    async loadSpreadsheetForViewing(pdfFile) {
+        try {
+            if (!pdfFile.sheet) {
+                const workbook = await this.spreadsheetParser.readWorkbook(pdfFile.file);
+                pdfFile.sheet = this.spreadsheetParser.getSheet(workbook, pdfFile.order.sheetName);
+            }
+            
+            this.currentPDF = null;
+            this.currentViewport = null;
+            this.pageSnapshot = null;
+            this.selectedSource = null;
+            
+            const currentFileName = document.getElementById('currentFileName');
+            if (currentFileName) {
+                currentFileName.textContent = `${pdfFile.file.name} (${pdfFile.sheet.sheetName})`;
+            }
+            
+            this.renderSheetPreview(pdfFile.sheet, pdfFile.order);
+            this.showSheetPreview(true);
+            
+            this.updateExtractedDataDisplay(pdfFile.order);
+            this.isEditMode = false;
+            this.hasUnsavedChanges = false;
+            this.updateEditModeUI();
+            this.updateApprovalUI();
+            
+        } catch (error) {
+            console.error('Error loading spreadsheet for viewing:', error);
+        }
+    }
+
+    /**
+     * Switch the viewer between the PDF canvas and the sheet preview
+     */
+    showSheetPreview(show) {
+        const preview = document.getElementById('sheetPreview');
+        const canvas = document.getElementById('pdfCanvas');
+        const controls = document.querySelector('.pdf-controls');
+        
+        if (preview) preview.style.display = show ? 'block' : 'none';
+        if (canvas) canvas.style.display = show ? 'none' : '';
+        if (controls) controls.style.display = show ? 'none' : '';
+    }
+
+    /**
+     * Render the sheet as a table - rows that became products can be clicked to select them
+     */
+    renderSheetPreview(sheet, order) {
+        const preview = document.getElementById('sheetPreview');
+        if (!preview) return;
+        
+        const width = Math.max(0, ...sheet.rows.map(row => row.length));
+        const columnName = (index) => XLSX.utils.encode_col(sheet.firstColumn + index);
+        const productRows = new Map(order.products
+            .map((product, index) => [product.sourceRegion && product.sourceRegion.rowIndex, index])
+            .filter(([rowIndex]) => rowIndex !== undefined));
+        
+        const header = Array.from({ length: width }, (_, index) => `<th>${columnName(index)}</th>`).join('');
+        const body = sheet.rows.map((row, rowIndex) => {
+            const productIndex = productRows.get(rowIndex);
+            const cells = Array.from({ length: width }, (_, index) =>
+                `<td data-column="${index}">${this.escapeHtml(this.spreadsheetParser.cellText(row[index]))}</td>`
+            ).join('');
+            return `<tr data-row="${rowIndex}" ${productIndex !== undefined ? `data-product="${productIndex}" class="sheet-product-row"` : ''}><th>${sheet.firstRow + rowIndex + 1}</th>${cells}</tr>`;
+        }).join('');
+        
+        preview.innerHTML = `<table class="sheet-table"><thead><tr><th></th>${header}</tr></thead><tbody>${body}</tbody></table>`;
+        
+        preview.querySelectorAll('tr[data-product]').forEach(row => {
+            row.addEventListener('click', () => this.selectProduct(parseInt(row.dataset.product), true));
+        });
+    }
+
+    /**
+     * Highlight a spreadsheet source row (or cell) and scroll it into view
+     */
+    highlightSheetSource(region) {
+        const preview = document.getElementById('sheetPreview');
+        if (!preview) return;
+        
+        preview.querySelectorAll('.selected-source').forEach(element => element.classList.remove('selected-source'));
+        if (!region) return;
+        
+        const row = preview.querySelector(`tr[data-row="${region.rowIndex}"]`);
+        if (!row) return;
+        
+        const target = region.columnIndex !== null && region.columnIndex !== undefined
+            ? row.querySelector(`td[data-column="${region.columnIndex}"]`)
+            : row;
+        if (target) {
+            target.classList.add('selected-source');
+            target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+    }
+
     /**
      * Calculate smart initial scale for PDF
      */
@@ -528,6 +688,11 @@ class UIManager {
             
             await page.render(renderContext).promise;
             
+            // Keep the clean page so the source highlight can be redrawn without re-rendering
+            this.currentViewport = viewport;
+            this.pageSnapshot = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            this.drawSourceHighlight();
+            
             // Update page info
             const pageInfo = document.getElementById('pageInfo');
             if (pageInfo) {
@@ -559,6 +724,127 @@ class UIManager {
         }
     }
 
+    /**
+     * Region of the selected product row or header field, if it has one
+     */
+    getSelectedRegion() {
+        const order = this.pdfFiles[this.currentFileIndex] && this.pdfFiles[this.currentFileIndex].order;
+        if (!order || !this.selectedSource) return null;
+        
+        if (this.selectedSource.type === 'product') {
+            const product = order.products[this.selectedSource.index];
+            return product ? product.sourceRegion || null : null;
+        }
+        
+        return (order.fieldSources && order.fieldSources[this.selectedSource.field]) || null;
+    }
+
+    /**
+     * Outline the selected value's source text on the rendered page
+     */
+    drawSourceHighlight() {
+        const canvas = document.getElementById('pdfCanvas');
+        if (!canvas || !this.pageSnapshot || !this.currentViewport) return;
+        
+        const ctx = canvas.getContext('2d');
+        ctx.putImageData(this.pageSnapshot, 0, 0);
+        
+        const region = this.getSelectedRegion();
+        if (!region || region.pageNumber !== this.currentPage) return;
+        
+        const [x1, y1, x2, y2] = this.currentViewport.convertToViewportRectangle([
+            region.x, region.y, region.x + region.width, region.y + region.height
+        ]);
+        const padding = 3;
+        const left = Math.min(x1, x2) - padding;
+        const top = Math.min(y1, y2) - padding;
+        const width = Math.abs(x2 - x1) + padding * 2;
+        const height = Math.abs(y2 - y1) + padding * 2;
+        
+        ctx.save();
+        ctx.fillStyle = 'rgba(52, 152, 219, 0.15)';
+        ctx.fillRect(left, top, width, height);
+        ctx.strokeStyle = '#3498db';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(left, top, width, height);
+        ctx.restore();
+    }
+
+    /**
+     * Show a value's source: switch to its page if needed, then outline it
+     */
+    showSelectedSource() {
+        const region = this.getSelectedRegion();
+        
+        const pdfFile = this.pdfFiles[this.currentFileIndex];
+        if (pdfFile && pdfFile.order.sourceType === 'spreadsheet') {
+            this.highlightSheetSource(region);
+            return;
+        }
+        
+        if (region && region.pageNumber !== this.currentPage) {
+            this.currentPage = region.pageNumber;
+            this.renderPage(this.currentPage);
+        } else {
+            this.drawSourceHighlight();
+        }
+    }
+
+    /**
+     * Select a product row and outline where it was printed
+     */
+    selectProduct(index, scrollIntoView = false) {
+        this.selectedSource = { type: 'product', index: index };
+        
+        document.querySelectorAll('#productsTableBody tr').forEach((row, i) => {
+            row.classList.toggle('selected-source', i === index);
+            if (i === index && scrollIntoView) {
+                row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+        });
+        
+        this.showSelectedSource();
+    }
+
+    /**
+     * Select a header field and outline where it was printed
+     */
+    selectField(field) {
+        this.selectedSource = { type: 'field', field: field };
+        document.querySelectorAll('#productsTableBody tr').forEach(row => row.classList.remove('selected-source'));
+        this.showSelectedSource();
+    }
+
+    /**
+     * Select the product row (or header field) whose text was clicked on the page
+     */
+    handleCanvasClick(event) {
+        const order = this.pdfFiles[this.currentFileIndex] && this.pdfFiles[this.currentFileIndex].order;
+        if (!order || !this.currentViewport) return;
+        
+        // The canvas may be scaled down by CSS
+        const canvas = event.currentTarget;
+        const rect = canvas.getBoundingClientRect();
+        const canvasX = (event.clientX - rect.left) * (canvas.width / rect.width);
+        const canvasY = (event.clientY - rect.top) * (canvas.height / rect.height);
+        const [x, y] = this.currentViewport.convertToPdfPoint(canvasX, canvasY);
+        
+        const contains = (region) => region && region.pageNumber === this.currentPage &&
+            x >= region.x - 2 && x <= region.x + region.width + 2 &&
+            y >= region.y - 2 && y <= region.y + region.height + 2;
+        
+        const productIndex = order.products.findIndex(product => contains(product.sourceRegion));
+        if (productIndex !== -1) {
+            this.selectProduct(productIndex, true);
+            return;
+        }
+        
+        const field = Object.keys(order.fieldSources || {}).find(key => contains(order.fieldSources[key]));
+        if (field) {
+            this.selectField(field);
+        }
+    }
+
     /**
      * PDF Navigation methods
      */
@@ -574,6 +860,13 @@ class UIManager {
         this.renderPage(this.currentPage);
     }
 
+    goToPage(pageNum) {
+        const target = Math.min(Math.max(parseInt(pageNum) || 1, 1), this.totalPages);
+        if (target === this.currentPage) return;
+        this.currentPage = target;
+        this.renderPage(this.currentPage);
+    }
+
     zoomIn() {
         this.currentScale = Math.min(this.currentScale * 1.25, 3.0);
         this.renderPage(this.currentPage);
@@ -605,21 +898,45 @@ class UIManager {
         const elements = {
             orderType: document.getElementById('orderType'),
             orderPO: document.getElementById('orderPO'),
-            orderCustomer: document.getElementById('orderCustomer'),
+            orderCustomerName: document.getElementById('orderCustomerName'),
+            orderCustomerCode: document.getElementById('orderCustomerCode'),
             orderDate: document.getElementById('orderDate'),
             deliveryDate: document.getElementById('deliveryDate'),
-            orderTotal: document.getElementById('orderTotal')
+            orderTotal: document.getElementById('orderTotal'),
+            templateDetection: document.getElementById('templateDetection'),
+            attentionSummary: document.getElementById('attentionSummary'),
+            emailSource: document.getElementById('orderEmailSource'),
+            addressSuggestion: document.getElementById('orderAddressSuggestion')
         };
 
         if (elements.orderType) elements.orderType.textContent = order.type;
         if (elements.orderPO) elements.orderPO.value = order.poNumber || '';
-        if (elements.orderCustomer) elements.orderCustomer.textContent = `${order.customerName} (${order.customerCode})`;
+        if (elements.orderCustomerName) elements.orderCustomerName.value = order.customerName || '';
+        if (elements.orderCustomerCode) elements.orderCustomerCode.value = order.customerCode || '';
         if (elements.orderDate) elements.orderDate.value = this.convertDateForInput(order.orderDate);
         if (elements.deliveryDate) elements.deliveryDate.value = this.convertDateForInput(order.deliveryDate);
-        if (elements.orderTotal) elements.orderTotal.textContent = `£${order.total.toFixed(2)}`;
+        if (elements.orderTotal) this.updateOrderTotalDisplay(elements.orderTotal, order);
+        if (elements.templateDetection) this.updateTemplateDetectionDisplay(elements.templateDetection, order.templateDetection, order);
+        if (elements.emailSource) this.updateEmailSourceDisplay(elements.emailSource, order.emailSource);
+        if (elements.addressSuggestion) this.updateAddressSuggestionDisplay(elements.addressSuggestion, order);
+        
+        // Highlight values the parser wasn't sure about
+        const confidence = order.fieldConfidence || {};
+        this.applyFieldConfidence(elements.orderPO, confidence.poNumber);
+        this.applyFieldConfidence(elements.orderCustomerName, confidence.customerName);
+        this.applyFieldConfidence(elements.orderCustomerCode, confidence.customerCode);
+        this.applyFieldConfidence(elements.orderDate, confidence.orderDate);
+        this.applyFieldConfidence(elements.deliveryDate, confidence.deliveryDate);
+        if (elements.attentionSummary) this.updateAttentionSummary(elements.attentionSummary, order);
+        
+        // Only offer "show on PDF" for fields whose position is known
+        document.querySelectorAll('.source-locate-btn').forEach(button => {
+            const field = button.dataset.field;
+            button.style.display = order.fieldSources && order.fieldSources[field] ? 'inline-block' : 'none';
+        });
         
         // Update products table
-        this.updateProductsTable(order.products);
+        this.updateProductsTable(order.products, order.pageCount > 1);
         
         // Update conversion statistics
         this.updateConversionStatsDisplay(order.products);
@@ -630,10 +947,241 @@ class UIManager {
         this.updateEditModeUI();
     }
 
+    /**
+     * Show the email an order's PDF was attached to
+     */
+    updateEmailSourceDisplay(element, emailSource) {
+        if (!emailSource) {
+            element.style.display = 'none';
+            element.innerHTML = '';
+            return;
+        }
+        
+        const received = emailSource.receivedAt ? new Date(emailSource.receivedAt).toLocaleString('en-GB') : 'unknown';
+        element.innerHTML = `
+            <div><strong>✉️ From:</strong> ${this.escapeHtml(emailSource.from || emailSource.fromAddress || 'Unknown sender')}</div>
+            <div><strong>Subject:</strong> ${this.escapeHtml(emailSource.subject || '(no subject)')}</div>
+            <div><strong>Received:</strong> ${received}</div>
+        `;
+        element.style.display = 'block';
+    }
+
+    /**
+     * Offer the delivery address printed on the order as an update to the customer master when it differs
+     */
+    updateAddressSuggestionDisplay(element, order) {
+        const suggestion = this.getAddressSuggestion(order);
+        if (!suggestion) {
+            element.style.display = 'none';
+            element.innerHTML = '';
+            return;
+        }
+        
+        element.innerHTML = `
+            <div><strong>🏢 Delivery address on this order differs from ${this.escapeHtml(order.customerCode)}'s customer master</strong></div>
+            <div><strong>On order:</strong> ${this.escapeHtml(this.formatAddress(suggestion.parsed))}</div>
+            <div><strong>In master:</strong> ${suggestion.current ? this.escapeHtml(this.formatAddress(suggestion.current)) : '<em>none saved</em>'}</div>
+            <button class="btn btn-secondary" onclick="applyAddressSuggestion()">Update customer master</button>
+        `;
+        element.style.display = 'block';
+    }
+
+    /**
+     * The order's delivery address and the customer master's, when they differ
+     * @returns {Object|null} { parsed, current } - null when there's nothing to suggest
+     */
+    getAddressSuggestion(order) {
+        if (!this.firebaseConfig || !order.deliveryAddress || !order.customerCode) return null;
+        
+        const customer = this.firebaseConfig.getCustomer(order.customerCode);
+        const current = customer ? customer.deliveryAddress || customer.billingAddress || null : null;
+        if (current && this.normalizeAddress(current) === this.normalizeAddress(order.deliveryAddress)) return null;
+        
+        return { parsed: order.deliveryAddress, current: current };
+    }
+
+    /**
+     * Address fields compared without case, punctuation or spacing differences
+     */
+    normalizeAddress(address) {
+        return ['name', 'address1', 'address2', 'city', 'zip']
+            .map(field => String(address[field] || '').toUpperCase().replace(/[^A-Z0-9]/g, ''))
+            .join('|');
+    }
+
+    formatAddress(address) {
+        return [address.name, address.address1, address.address2, address.city, address.zip].filter(line => line).join(', ');
+    }
+
+    /**
+     * Show the rows an export will write, one group per order (per part of an order when the export is split),
+     * with suspicious cells highlighted
+     * @param {Object} preview - See ExportManager.buildPreview
+     * @param {Set} excluded - Indexes of the orders left out
+     */
+    renderExportPreview(container, preview, excluded) {
+        const included = preview.orders.filter(order => !excluded.has(order.orderIndex));
+        const includedCount = new Set(included.map(order => order.orderIndex)).size;
+        const blocking = [...new Set(included.filter(order => order.blocking).map(order => order.orderIndex))];
+        const rowCount = included.reduce((sum, order) => sum + order.rows.length, 0);
+        const parts = [...new Set(included.map(order => order.part))];
+        const unit = preview.split && preview.split.output === 'sheets' ? 'sheet' : 'file';
+        
+        const warnings = preview.warnings.map(group => `
+            <div class="export-preview-warning">
+                <strong>${group.title}</strong>
+                <ul>${group.items.map(item => `<li>${this.escapeHtml(item)}</li>`).join('')}</ul>
+                ${group.hint ? `<em>${group.hint}</em>` : ''}
+            </div>
+        `).join('');
+        
+        const header = `<tr><th>Include</th>${preview.headers.map(header => `<th>${this.escapeHtml(header)}</th>`).join('')}</tr>`;
+        const body = preview.orders.map(order => {
+            const isExcluded = excluded.has(order.orderIndex);
+            const groupRow = `
+                <tr class="export-preview-order${isExcluded ? ' excluded' : ''}">
+                    <td><input type="checkbox" ${isExcluded ? '' : 'checked'} onchange="toggleExportPreviewOrder(${order.orderIndex}, this.checked)"></td>
+                    <td colspan="${preview.headers.length}">
+                        ${preview.split ? `<span class="export-preview-part">${this.escapeHtml(order.part)}</span>` : ''}
+                        <strong>${this.escapeHtml(order.label)}</strong> - ${order.rows.length} row${order.rows.length !== 1 ? 's' : ''}
+                        ${order.issueCount > 0 ? `<span class="export-preview-count${order.blocking ? ' blocking' : ''}">${order.issueCount} cell${order.issueCount !== 1 ? 's' : ''} to check</span>` : ''}
+                    </td>
+                </tr>
+            `;
+            const rows = order.rows.map(row => `
+                <tr class="${isExcluded ? 'excluded' : ''}">
+                    <td></td>
+                    ${row.cells.map((cell, index) => {
+                        const issue = row.issues[index];
+                        const cellClass = issue ? (issue.blocking ? 'preview-blocking' : 'preview-issue') : '';
+                        return `<td class="${cellClass}" title="${issue ? this.escapeHtml(issue.message) : ''}">${this.escapeHtml(String(cell))}</td>`;
+                    }).join('')}
+                </tr>
+            `).join('');
+            return groupRow + rows;
+        }).join('');
+        
+        container.innerHTML = `
+            <h3>🔎 Export Preview</h3>
+            <p>${includedCount} of ${preview.orderCount} order${preview.orderCount !== 1 ? 's' : ''} • ${rowCount} row${rowCount !== 1 ? 's' : ''} will be written. Untick an order to leave it out - it stays approved. Hover a highlighted cell to see why.</p>
+            ${preview.split ? `<p>✂️ ${preview.split.label}: ${parts.length} ${unit}${parts.length !== 1 ? 's' : ''}${unit === 'file' ? ' in one zip' : ' in one workbook'} - ${parts.map(part => this.escapeHtml(part)).join(', ')}</p>` : ''}
+            ${warnings}
+            <div class="export-preview-grid">
+                <table>
+                    <thead>${header}</thead>
+                    <tbody>${body}</tbody>
+                </table>
+            </div>
+            ${blocking.length > 0 ? `<p class="export-preview-blocked">⛔ ${blocking.length} included order${blocking.length !== 1 ? 's have' : ' has'} no customer email - add the email mapping or leave ${blocking.length !== 1 ? 'them' : 'it'} out.</p>` : ''}
+            <div class="export-preview-actions">
+                <button class="btn btn-secondary" onclick="closeExportPreview(false)">Cancel</button>
+                <button class="btn btn-success" onclick="closeExportPreview(true)" ${includedCount === 0 || blocking.length > 0 ? 'disabled' : ''}>
+                    Write File (${includedCount} order${includedCount !== 1 ? 's' : ''})
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Show the order total, with the printed total when the lines don't add up to it
+     */
+    updateOrderTotalDisplay(element, order) {
+        const reconciliation = order.reconciliation;
+        
+        if (reconciliation && reconciliation.status === 'mismatch' && this.reconciliationEngine) {
+            element.innerHTML = `£${order.total.toFixed(2)} <span class="reconciliation-note">🧮 ${this.reconciliationEngine.describeTotal(order)}</span>`;
+        } else {
+            element.textContent = `£${order.total.toFixed(2)}`;
+        }
+    }
+
+    /**
+     * Mark a header field with its confidence level; the tooltip shows the rule that produced it
+     */
+    applyFieldConfidence(element, confidence) {
+        if (!element) return;
+        
+        element.classList.remove('confidence-medium', 'confidence-low', 'confidence-missing');
+        element.title = '';
+        if (!confidence) return;
+        
+        element.title = `${confidence.rule} (${confidence.confirmed ? 'confirmed by reviewer' : `${confidence.level} confidence`})`;
+        if (!confidence.confirmed && confidence.level !== 'high') {
+            element.classList.add(`confidence-${confidence.level}`);
+        }
+    }
+
+    /**
+     * List the fields and product lines that need a reviewer's attention
+     */
+    updateAttentionSummary(element, order) {
+        const fields = PDFParser.getFieldsNeedingAttention(order);
+        const lowLines = order.products.filter(p => p.confidence && p.confidence.level === 'low' && !p.confidence.confirmed);
+        const mismatchedLines = order.products.filter(p => p.reconciliation && p.reconciliation.status === 'mismatch');
+        const totalMismatch = order.reconciliation && order.reconciliation.status === 'mismatch';
+        const unpricedLines = order.products.filter(p => p.priceSource && p.priceSource.type === 'unpriced');
+        const undecidedPrices = this.priceListEngine ? this.priceListEngine.getUndecidedPriceMismatches(order) : [];
+        
+        if (fields.length === 0 && lowLines.length === 0 && mismatchedLines.length === 0 && !totalMismatch &&
+            unpricedLines.length === 0 && undecidedPrices.length === 0) {
+            element.style.display = 'none';
+            return;
+        }
+        
+        const items = fields.map(item => `
+            <li><strong>${item.label}</strong> ${item.level === 'missing' ? 'not found' : 'uncertain'}${item.mandatory ? ' (required for approval)' : ''} - ${item.rule}</li>
+        `);
+        if (lowLines.length > 0) {
+            items.push(`<li><strong>${lowLines.length} product line${lowLines.length !== 1 ? 's' : ''}</strong> highlighted below</li>`);
+        }
+        if (mismatchedLines.length > 0) {
+            items.push(`<li><strong>${mismatchedLines.length} line${mismatchedLines.length !== 1 ? 's' : ''}</strong> where quantity × unit price doesn't match the net price</li>`);
+        }
+        if (totalMismatch && this.reconciliationEngine) {
+            items.push(`<li><strong>Order total</strong> - ${this.reconciliationEngine.describeTotal(order)}</li>`);
+        }
+        if (unpricedLines.length > 0) {
+            items.push(`<li><strong>${unpricedLines.length} line${unpricedLines.length !== 1 ? 's' : ''}</strong> not in ${order.customerCode || 'the customer'}'s price list - priced at £0.00</li>`);
+        }
+        if (undecidedPrices.length > 0) {
+            items.push(`<li><strong>${undecidedPrices.length} price${undecidedPrices.length !== 1 ? 's' : ''}</strong> differ from ${order.customerCode}'s price list - accept the PO price or use the list price before approval</li>`);
+        }
+        
+        element.style.display = 'block';
+        element.innerHTML = `<strong>🟠 Needs attention</strong> - check these against the PDF:<ul>${items.join('')}</ul>`;
+    }
+
+    /**
+     * Show which template was chosen for the order and why
+     */
+    updateTemplateDetectionDisplay(element, detection, order = {}) {
+        if (!detection) {
+            element.style.display = 'none';
+            return;
+        }
+        
+        element.style.display = 'block';
+        element.classList.toggle('unknown', detection.status === 'unknown');
+        
+        if (detection.status === 'unknown') {
+            element.innerHTML = `
+                <strong>⚠️ Unknown template</strong> - no order layout matched this PDF (best score ${detection.score}).
+                Nothing was extracted; this order can't be approved.
+                ${detection.reasons.length > 1 ? `<br>${detection.reasons.slice(1).join('<br>')}` : ''}
+            `;
+        } else {
+            element.innerHTML = `
+                <strong>🧩 ${detection.templateName} template</strong> (score ${detection.score}):
+                ${detection.reasons.join(', ')}
+                ${order.ocrPages && order.ocrPages.length > 0 ? `<br>🔠 Page${order.ocrPages.length !== 1 ? 's' : ''} ${order.ocrPages.join(', ')} read by OCR - check every value against the scan` : ''}
+            `;
+        }
+    }
+
     /**
      * Update products table
      */
-    updateProductsTable(products) {
+    updateProductsTable(products, showSourcePage = false) {
         const tbody = document.getElementById('productsTableBody');
         if (!tbody) return;
         
@@ -661,13 +1209,47 @@ class UIManager {
                 row.classList.add('conversion-success');
             }
             
+            const confidence = product.confidence;
+            const lowConfidence = confidence && confidence.level === 'low' && !confidence.confirmed;
+            if (lowConfidence && !product.hasWarning) {
+                row.classList.add('low-confidence');
+            }
+            
+            const arithmeticMismatch = product.reconciliation && product.reconciliation.status === 'mismatch' && this.reconciliationEngine;
+            const unpriced = product.priceSource && product.priceSource.type === 'unpriced';
+            if (unpriced) {
+                row.classList.add('unpriced');
+            }
+            const priceNote = product.priceSource && this.priceListEngine
+                ? `<div class="price-note ${unpriced ? 'warning' : ''}">${unpriced ? '⚠️' : '💷'} ${this.priceListEngine.describePriceSource(product)}</div>`
+                : this.renderPriceCheck(product, index);
+            if (product.priceCheck && product.priceCheck.status === 'mismatch' && !product.priceCheck.decision) {
+                row.classList.add('price-mismatch');
+            }
+            if (confidence) {
+                row.title = `${confidence.rule} (${confidence.confirmed ? 'confirmed by reviewer' : `${confidence.level} confidence`})`;
+            }
+            
+            // Selecting a row outlines its source on the PDF
+            if (product.sourceRegion) {
+                row.classList.add('has-source');
+                row.addEventListener('click', () => this.selectProduct(index));
+            }
+            if (this.selectedSource && this.selectedSource.type === 'product' && this.selectedSource.index === index) {
+                row.classList.add('selected-source');
+            }
+            
             row.innerHTML = `
                 <td class="editable-cell">
                     <input type="number" step="0.1" value="${product.quantity}" 
                            onchange="updateProductField(${index}, 'quantity', this.value)" />
-                    ${product.conversionNote ? `<div class="conversion-note ${product.conversionApplied ? 'converted' : 'warning'}">${product.conversionNote}</div>` : ''}
+                    ${product.conversionNote ? `<div class="conversion-note ${product.conversionApplied ? 'converted' : 'warning'}" title="${this.conversionEngine.describeConversionVersion(product)}">${product.conversionNote}</div>` : ''}
+                </td>
+                <td>
+                    ${product.description}
+                    ${showSourcePage && product.sourcePage ? `<button class="source-page-link" onclick="goToPage(${product.sourcePage})" title="Show page ${product.sourcePage} of the PDF">p.${product.sourcePage}</button>` : ''}
+                    ${lowConfidence ? `<div class="confidence-note">🟠 ${confidence.issues.length > 0 ? confidence.issues.join(', ') : confidence.rule}</div>` : ''}
                 </td>
-                <td>${product.description}</td>
                 <td class="editable-cell">
                     <input type="text" value="${product.productCode}" 
                            onchange="updateProductField(${index}, 'productCode', this.value)" 
@@ -675,18 +1257,69 @@ class UIManager {
                 </td>
                 <td class="editable-cell">
                     <select onchange="updateProductField(${index}, 'caseSize', this.value)">
-                        <option value="Each" ${this.conversionEngine.getCaseSizeType(product.caseSize) === 'Each' ? 'selected' : ''}>Each</option>
-                        <option value="Kilo" ${this.conversionEngine.getCaseSizeType(product.caseSize) === 'Kilo' ? 'selected' : ''}>Kilo</option>
-                        <option value="Box" ${this.conversionEngine.getCaseSizeType(product.caseSize) === 'Box' ? 'selected' : ''}>Box</option>
+                        ${Object.keys(ConversionEngine.UNITS).map(unit => `
+                            <option value="${unit}" ${this.conversionEngine.getCaseSizeType(product.caseSize) === unit ? 'selected' : ''}>${unit}</option>
+                        `).join('')}
                     </select>
                 </td>
-                <td>£${product.unitPrice.toFixed(2)}</td>
-                <td>£${product.netPrice.toFixed(2)}</td>
+                <td>
+                    £${product.unitPrice.toFixed(2)}
+                    ${priceNote}
+                </td>
+                <td class="${arithmeticMismatch ? 'arithmetic-mismatch' : ''}">
+                    £${product.netPrice.toFixed(2)}
+                    ${arithmeticMismatch ? `<div class="reconciliation-note">🧮 ${this.reconciliationEngine.describeLine(product)}</div>` : ''}
+                </td>
             `;
             tbody.appendChild(row);
         });
     }
 
+    /**
+     * Price check result under the unit price, with the accept / override choice for mismatches
+     */
+    renderPriceCheck(product, index) {
+        const check = product.priceCheck;
+        if (!check || check.status !== 'mismatch' || !this.priceListEngine) return '';
+        
+        const description = this.priceListEngine.describePriceCheck(product);
+        if (check.decision) {
+            return `
+                <div class="price-note">
+                    💷 ${check.decision === 'override' ? 'List price used' : 'PO price accepted'} - ${description}
+                    <button class="price-decision-btn" onclick="event.stopPropagation(); decideLinePrice(${index}, '${check.decision === 'override' ? 'accept' : 'override'}')">Undo</button>
+                </div>
+            `;
+        }
+        
+        return `
+            <div class="price-note warning">💷 ${description}</div>
+            <div class="price-decision">
+                <button class="price-decision-btn" onclick="event.stopPropagation(); decideLinePrice(${index}, 'accept')">Accept PO price</button>
+                <button class="price-decision-btn" onclick="event.stopPropagation(); decideLinePrice(${index}, 'override')">Use list price</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Record the reviewer's accept / override decision on a line's price mismatch
+     */
+    decideLinePrice(productIndex, decision) {
+        if (this.currentFileIndex < 0 || this.currentFileIndex >= this.pdfFiles.length || !this.priceListEngine) return;
+        
+        const order = this.pdfFiles[this.currentFileIndex].order;
+        const product = order.products[productIndex];
+        if (!product) return;
+        
+        if (this.priceListEngine.applyPriceDecision(product, decision)) {
+            order.products[productIndex] = this.conversionEngine.convertDecimalQuantity(product, order.customerCode, order.orderDate);
+            order.total = order.products.reduce((sum, product) => sum + product.netPrice, 0);
+        }
+        
+        this.updateExtractedDataDisplay(order);
+        this.markAsChanged();
+    }
+
     /**
      * Update conversion statistics display
      */
@@ -784,15 +1417,22 @@ class UIManager {
                     product.originalQuantity = newQuantity;
                     product.originalUnitPrice = originalUnitPrice;
                     
-                    const convertedProduct = this.conversionEngine.convertDecimalQuantity(product);
+                    // Lines priced from the price list have no printed net price to keep - price the new quantity
+                    if (product.priceSource && product.priceSource.type === 'price-list') {
+                        product.unitPrice = originalUnitPrice;
+                        product.netPrice = Math.round(newQuantity * originalUnitPrice * 100) / 100;
+                    }
+                    
+                    const convertedProduct = this.conversionEngine.convertDecimalQuantity(product, order.customerCode, order.orderDate);
                     
                     // Update the product in the order
                     order.products[productIndex] = convertedProduct;
                     
-                    // Recalculate order total
+                    // Recalculate order total and re-check the line against the PDF
                     order.total = order.products.reduce((sum, product) => sum + product.netPrice, 0);
+                    if (this.reconciliationEngine) this.reconciliationEngine.reconcileOrder(order);
                     const orderTotal = document.getElementById('orderTotal');
-                    if (orderTotal) orderTotal.textContent = `£${order.total.toFixed(2)}`;
+                    if (orderTotal) this.updateOrderTotalDisplay(orderTotal, order);
                     
                     // Refresh the display to show new conversion status
                     this.updateExtractedDataDisplay(order);
@@ -800,14 +1440,37 @@ class UIManager {
                 } else if (field === 'productCode') {
                     product.productCode = value.toUpperCase();
                     
+                    // Price the corrected SKU from the price list, or check its printed price against it
+                    const repriced = !!this.priceListEngine;
+                    if (repriced && product.priceSource) {
+                        this.priceListEngine.priceProduct(product, order.customerCode, this.priceListEngine.getPricingDate(order));
+                    } else if (repriced) {
+                        this.priceListEngine.validateOrder(order);
+                    }
+                    
                     // Reapply conversion logic with new product code
-                    const convertedProduct = this.conversionEngine.convertDecimalQuantity(product);
+                    const convertedProduct = this.conversionEngine.convertDecimalQuantity(product, order.customerCode, order.orderDate);
                     order.products[productIndex] = convertedProduct;
                     
-                    // Update conversion statistics
-                    this.updateConversionStatsDisplay(order.products);
+                    if (repriced) {
+                        order.total = order.products.reduce((sum, product) => sum + product.netPrice, 0);
+                        this.updateExtractedDataDisplay(order);
+                    } else {
+                        // Update conversion statistics
+                        this.updateConversionStatsDisplay(order.products);
+                    }
                 } else if (field === 'caseSize') {
                     product.caseSize = value;
+                    
+                    // The case size says which unit a decimal quantity is in - convert it again
+                    order.products[productIndex] = this.conversionEngine.convertDecimalQuantity(product, order.customerCode, order.orderDate);
+                    order.total = order.products.reduce((sum, product) => sum + product.netPrice, 0);
+                    this.updateExtractedDataDisplay(order);
+                }
+                
+                // A reviewer has looked at this line
+                if (order.products[productIndex].confidence) {
+                    order.products[productIndex].confidence.confirmed = true;
                 }
                 
                 this.markAsChanged();
@@ -824,12 +1487,46 @@ class UIManager {
             
             // Update order data from form fields
             const orderPO = document.getElementById('orderPO');
+            const orderCustomerName = document.getElementById('orderCustomerName');
+            const orderCustomerCode = document.getElementById('orderCustomerCode');
             const orderDate = document.getElementById('orderDate');
             const deliveryDate = document.getElementById('deliveryDate');
             
-            if (orderPO) order.poNumber = orderPO.value;
-            if (orderDate) order.orderDate = this.convertDateFromInput(orderDate.value);
-            if (deliveryDate) order.deliveryDate = this.convertDateFromInput(deliveryDate.value);
+            const edits = {};
+            if (orderPO) edits.poNumber = orderPO.value.trim();
+            if (orderCustomerName) edits.customerName = orderCustomerName.value.trim();
+            if (orderCustomerCode) edits.customerCode = orderCustomerCode.value.trim().toUpperCase();
+            if (orderDate) edits.orderDate = this.convertDateFromInput(orderDate.value);
+            if (deliveryDate) edits.deliveryDate = this.convertDateFromInput(deliveryDate.value);
+            
+            // Edited fields are trusted from now on
+            if (!order.fieldConfidence) order.fieldConfidence = {};
+            const changedFields = [];
+            Object.entries(edits).forEach(([field, value]) => {
+                if (value === (order[field] || '')) return;
+                order[field] = value;
+                changedFields.push(field);
+                order.fieldConfidence[field] = {
+                    level: value ? 'high' : 'missing',
+                    rule: 'Edited by reviewer',
+                    confirmed: !!value
+                };
+            });
+            
+            // A corrected customer or delivery date changes which price list applies
+            const pricingChanged = ['customerCode', 'orderDate', 'deliveryDate'].some(field => changedFields.includes(field));
+            if (pricingChanged && this.priceListEngine) {
+                if (order.products.some(product => product.priceSource)) {
+                    this.priceListEngine.priceOrder(order, { reprice: true });
+                }
+                this.priceListEngine.validateOrder(order);
+            }
+            
+            // Convert again with the new prices, the customer's rounding policies and the conversions in effect on the order date
+            if (pricingChanged) {
+                order.products = order.products.map(product => this.conversionEngine.convertDecimalQuantity(product, order.customerCode, order.orderDate));
+                order.total = order.products.reduce((sum, product) => sum + product.netPrice, 0);
+            }
             
             // Update display with new data
             this.updateExtractedDataDisplay(order);
@@ -908,6 +1605,13 @@ class UIManager {
         return date.toLocaleDateString();
     }
 
+    /**
+     * Escape text from outside the app (email subjects and senders) before putting it in HTML
+     */
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
+
     /**
      * Get current file queue for processing
      */
@@ -1014,6 +1718,7 @@ class QueuePersistence {
                     size: file.size,
                     type: file.type,
                     lastModified: file.lastModified,
+                    emailSource: file.emailSource || null,
                     arrayBuffer: await file.arrayBuffer()
                 };
                 
@@ -1072,6 +1777,9 @@ class QueuePersistence {
                         type: result.type,
                         lastModified: result.lastModified
                     });
+                    if (result.emailSource) {
+                        file.emailSource = result.emailSource;
+                    }
                     files.push(file);
                 }
             }